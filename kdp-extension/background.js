@@ -1,6 +1,9 @@
 // background.js - Advanced Background Sync & Management for KDP Analytics Pro
 console.log('🚀 KDP Analytics Pro: Enhanced background service initialized');
 
+// signDashboardRequest, shared with the content script
+importScripts('signing.js');
+
 // Configuration
 const CONFIG = {
     DASHBOARD_URL: 'https://kdp-analytics-dashboard.vercel.app',
@@ -738,17 +741,19 @@ function mergeAdsData(existing, newAds) {
 // Send data to dashboard
 async function sendDataToDashboard(data) {
     try {
+        const body = JSON.stringify({
+            data: data,
+            timestamp: new Date().toISOString(),
+            source: 'background_sync'
+        });
+        
         const response = await fetch(CONFIG.DASHBOARD_URL + '/api/extension/data', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...(await signDashboardRequest(body))
             },
-            body: JSON.stringify({
-                data: data,
-                userId: backgroundState.userData?.userId,
-                timestamp: new Date().toISOString(),
-                source: 'background_sync'
-            })
+            body
         });
         
         if (response.ok) {
@@ -72,15 +72,6 @@ const EXTRACTION_PATTERNS = {
     }
 };
 
-// Currency conversion rates (updated periodically)
-const CURRENCY_RATES = {
-    'USD': 0.85, // USD to EUR
-    'GBP': 1.15, // GBP to EUR
-    'CAD': 0.62, // CAD to EUR
-    'AUD': 0.55, // AUD to EUR
-    'EUR': 1.00  // EUR base
-};
-
 // Initialize extraction system
 function initializeExtraction() {
     if (extractionState.isActive) return;
@@ -263,7 +254,9 @@ function extractBookFromTableRow(cells, headers, source) {
         hardcoverSales: 0,
         hardcoverRoyalties: 0,
         country: '',
-        currency: 'EUR',
+        // Amounts are sent as shown; the dashboard assumes the marketplace's
+        // currency and converts at historical exchange rates
+        currency: '',
         source: source,
         extractedAt: new Date().toISOString()
     };
@@ -307,7 +300,6 @@ function extractBookFromTableRow(cells, headers, source) {
                 const kenp = extractNumberValue(text);
                 if (kenp > 0) {
                     bookData.kenpReads = Math.max(bookData.kenpReads, kenp);
-                    bookData.kenpRoyalties = kenp * 0.004; // Approximate KENP rate
                 }
                 break;
                 
@@ -423,7 +415,7 @@ function extractBookFromWidget(widget, source) {
         title: title,
         totalRoyalties: revenue,
         kenpReads: kenpReads,
-        kenpRoyalties: kenpReads * 0.004,
+        kenpRoyalties: 0, // Already part of totalRoyalties
         source: source,
         extractedAt: new Date().toISOString()
     };
@@ -612,11 +604,6 @@ function isValidBookData(book) {
 }
 
 function enhanceBookData(book) {
-    // Add additional calculated fields
-    if (book.kenpReads > 0 && book.kenpRoyalties === 0) {
-        book.kenpRoyalties = book.kenpReads * 0.004;
-    }
-    
     // Ensure country is set
     if (!book.country) {
         book.country = 'US';
@@ -694,7 +681,7 @@ function setupDynamicObservers() {
                 mutation.addedNodes.forEach((node) => {
                     if (node.nodeType === 1) {
                         const text = node.textContent || '';
-                        if (text.includes(') || 
+                        if (text.includes('$') || 
                             text.includes('€') || 
                             text.includes('KENP') || 
                             text.includes('royalt') ||
@@ -769,16 +756,18 @@ function startPeriodicExtraction() {
 // Communication with dashboard
 async function sendDataToDashboard(data) {
     try {
+        const body = JSON.stringify({
+            data: data,
+            timestamp: new Date().toISOString()
+        });
+        
         const response = await fetch(CONFIG.DASHBOARD_URL + '/api/extension/data', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...(await signDashboardRequest(body))
             },
-            body: JSON.stringify({
-                data: data,
-                userId: extractionState.currentUser,
-                timestamp: new Date().toISOString()
-            })
+            body
         });
         
         if (response.ok) {
@@ -14,6 +14,7 @@ let syncInProgress = false;
 function initializePopup() {
     addLog('info', 'Extension popup initialized');
     showWelcomeMessage();
+    showExtensionKeySettings();
     loadLastSyncData();
 }
 
@@ -35,6 +36,54 @@ function showWelcomeMessage() {
     }
 }
 
+// Uploads to the dashboard are signed with the key from its Import Data page
+function showExtensionKeySettings() {
+    const settingsDiv = document.getElementById('extension-key-settings');
+    if (!settingsDiv) return;
+    
+    chrome.storage.local.get(['kdp_extension_key'], (result) => {
+        const extensionKey = result.kdp_extension_key;
+        
+        settingsDiv.innerHTML = `
+            <div class="navigation-card">
+                <h4>🔑 Dashboard Connection</h4>
+                <p id="extension-key-status"></p>
+                <input type="text" id="extension-key-id" placeholder="Key ID">
+                <input type="password" id="extension-key-secret" placeholder="Secret">
+                <button class="url-button" id="save-extension-key-btn">💾 Save key</button>
+            </div>
+        `;
+        
+        // The stored key ID is user input: set it as text, never as markup
+        const status = document.getElementById('extension-key-status');
+        if (extensionKey) {
+            const code = document.createElement('code');
+            code.textContent = extensionKey.keyId;
+            status.append('Connected with key ', code);
+        } else {
+            status.textContent = 'Paste the extension key from the dashboard to enable uploads.';
+        }
+        document.getElementById('extension-key-id').value = extensionKey?.keyId || '';
+        
+        document.getElementById('save-extension-key-btn').addEventListener('click', saveExtensionKey);
+    });
+}
+
+function saveExtensionKey() {
+    const keyId = document.getElementById('extension-key-id').value.trim();
+    const secret = document.getElementById('extension-key-secret').value.trim();
+    
+    if (!keyId || !secret) {
+        addLog('warning', 'Both key ID and secret are required');
+        return;
+    }
+    
+    chrome.storage.local.set({ kdp_extension_key: { keyId, secret } }, () => {
+        addLog('success', 'Extension key saved');
+        showExtensionKeySettings();
+    });
+}
+
 function loadLastSyncData() {
     chrome.storage.local.get(['kdp_dashboard_data'], (result) => {
         if (result.kdp_dashboard_data) {
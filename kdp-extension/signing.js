@@ -0,0 +1,36 @@
+// signing.js - Signs dashboard uploads for KDP Analytics Pro
+// Loaded before content.js (manifest content_scripts) and by background.js
+// (importScripts), so both upload with the same signing scheme
+
+const EXTENSION_KEY_STORAGE = 'kdp_extension_key';
+
+// Sign a dashboard upload with the extension key issued on the dashboard's Import Data page
+async function signDashboardRequest(body) {
+    const stored = await chrome.storage.local.get(EXTENSION_KEY_STORAGE);
+    const extensionKey = stored[EXTENSION_KEY_STORAGE];
+    
+    if (!extensionKey?.keyId || !extensionKey?.secret) {
+        throw new Error('Extension key not configured - add it in the extension popup');
+    }
+    
+    const encoder = new TextEncoder();
+    const toHex = bytes => Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+    const timestamp = Date.now().toString();
+    const nonce = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(extensionKey.secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${nonce}.${body}`));
+    
+    return {
+        'X-KDP-Key-Id': extensionKey.keyId,
+        'X-KDP-Timestamp': timestamp,
+        'X-KDP-Nonce': nonce,
+        'X-KDP-Signature': toHex(signature)
+    };
+}
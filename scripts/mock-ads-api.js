@@ -0,0 +1,186 @@
+// mock-ads-api.js - Local stand-in for the Amazon Ads API endpoints in AMAZON_ADS_CONFIG
+//
+// Serves the token endpoint, profiles, Sponsored Products listings and the
+// asynchronous reporting workflow (create, poll, gzipped download), so the
+// Ads sync can be run without an Amazon account:
+//
+//   npm run mock:ads
+//   AMAZON_ADS_API_URL=http://localhost:4010 \
+//   AMAZON_ADS_TOKEN_URL=http://localhost:4010/auth/o2/token npm start
+//
+// Then sign up with any Amazon Ads client id, secret and refresh token (a
+// refresh token of "invalid" is rejected) and run a sync. Reports become
+// ready on the second poll and hold one line per day of the requested range.
+
+const http = require('http');
+const zlib = require('zlib');
+
+const PORT = Number(process.env.MOCK_ADS_PORT) || 4010;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const PROFILES = [
+    { profileId: 1001, countryCode: 'US', currencyCode: 'USD' },
+    { profileId: 1002, countryCode: 'DE', currencyCode: 'EUR' }
+];
+
+// One campaign with one ad group, product ad and keyword per profile; ids
+// are unique across profiles, as they are on Amazon
+function profileEntities(profileId) {
+    const id = base => Number(`${profileId}${base}`);
+    const campaign = { campaignId: id(111), name: 'Empath - Auto', state: 'enabled' };
+    const adGroup = { adGroupId: id(222), campaignId: campaign.campaignId, name: 'Empath - Ad Group', state: 'enabled' };
+    const productAd = { adId: id(333), adGroupId: adGroup.adGroupId, campaignId: campaign.campaignId, asin: 'B0BWFC3554', state: 'enabled' };
+    const keyword = { keywordId: id(444), adGroupId: adGroup.adGroupId, campaignId: campaign.campaignId, keywordText: 'psychic abilities', matchType: 'broad', state: 'enabled' };
+
+    return {
+        campaign,
+        adGroup,
+        productAd,
+        keyword,
+        listings: {
+            '/v2/sp/campaigns': [campaign],
+            '/v2/sp/adGroups': [adGroup],
+            '/v2/sp/productAds': [productAd],
+            '/v2/sp/keywords': [keyword],
+            '/v2/sp/targets': []
+        }
+    };
+}
+
+const reports = new Map();
+let reportCount = 0;
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function daysBetween(startDate, endDate) {
+    const days = [];
+    for (let day = new Date(`${startDate}T00:00:00Z`); day <= new Date(`${endDate}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        days.push(day.toISOString().substring(0, 10));
+    }
+    return days;
+}
+
+// A report line with every requested column; figures vary by day
+function reportLine(date, index, columns, { campaign, adGroup, productAd, keyword }) {
+    const clicks = 5 + (index % 4);
+    const orders = index % 3 === 0 ? 1 : 0;
+    const values = {
+        date,
+        campaignId: campaign.campaignId,
+        campaignName: campaign.name,
+        adGroupId: adGroup.adGroupId,
+        adGroupName: adGroup.name,
+        adId: productAd.adId,
+        advertisedAsin: productAd.asin,
+        keywordId: keyword.keywordId,
+        targeting: keyword.keywordText,
+        matchType: keyword.matchType.toUpperCase(),
+        searchTerm: 'psychic abilities book',
+        impressions: clicks * 120,
+        clicks,
+        cost: Math.round(clicks * 0.45 * 100) / 100,
+        purchases14d: orders,
+        sales14d: orders * 9.99,
+        kindleEditionNormalizedPagesRead14d: orders * 150
+    };
+
+    return Object.fromEntries(columns.map(column => [column, values[column] ?? null]));
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, BASE_URL);
+    const body = await readBody(req);
+    console.log(`${req.method} ${url.pathname}`);
+
+    if (req.method === 'POST' && url.pathname === '/auth/o2/token') {
+        const params = new URLSearchParams(body);
+        const refreshToken = params.get('refresh_token') || (body.startsWith('{') ? JSON.parse(body).refresh_token : null);
+        if (!refreshToken || refreshToken === 'invalid') {
+            return sendJson(res, 400, { error: 'invalid_grant', error_description: 'The request has an invalid grant parameter : refresh_token' });
+        }
+        return sendJson(res, 200, {
+            access_token: `mock-access-${Date.now()}`,
+            refresh_token: refreshToken,
+            token_type: 'bearer',
+            expires_in: 3600
+        });
+    }
+
+    // Report downloads are pre-signed URLs: no Ads API headers
+    const download = url.pathname.match(/^\/downloads\/(.+)$/);
+    if (download) {
+        const report = reports.get(download[1]);
+        if (!report) return sendJson(res, 404, { code: 'NOT_FOUND' });
+
+        const lines = daysBetween(report.startDate, report.endDate)
+            .map((date, index) => reportLine(date, index, report.configuration.columns, profileEntities(report.profileId)));
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        return res.end(zlib.gzipSync(JSON.stringify(lines)));
+    }
+
+    if (!String(req.headers.authorization || '').startsWith('Bearer mock-access-')) {
+        return sendJson(res, 401, { code: 'UNAUTHORIZED', details: 'Not authorized' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/v2/profiles') {
+        return sendJson(res, 200, PROFILES);
+    }
+
+    // Everything below is scoped to the profile in the scope header
+    const profileId = Number(req.headers['amazon-advertising-api-scope']);
+    if (!PROFILES.some(profile => profile.profileId === profileId)) {
+        return sendJson(res, 400, { code: 'INVALID_ARGUMENT', details: 'Amazon-Advertising-API-Scope must be a profile id' });
+    }
+
+    const { listings } = profileEntities(profileId);
+    if (req.method === 'GET' && listings[url.pathname]) {
+        return sendJson(res, 200, listings[url.pathname]);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/reporting/reports') {
+        const { startDate, endDate, configuration } = JSON.parse(body || '{}');
+        if (!startDate || !endDate || !configuration?.reportTypeId || !Array.isArray(configuration.columns)) {
+            return sendJson(res, 400, { code: 'INVALID_ARGUMENT', detail: 'startDate, endDate and configuration are required' });
+        }
+
+        const reportId = `mock-report-${++reportCount}`;
+        reports.set(reportId, { profileId, startDate, endDate, configuration, polls: 0 });
+        return sendJson(res, 200, { reportId, status: 'PENDING' });
+    }
+
+    const status = url.pathname.match(/^\/reporting\/reports\/(.+)$/);
+    if (req.method === 'GET' && status) {
+        const report = reports.get(status[1]);
+        if (!report) return sendJson(res, 404, { code: 'NOT_FOUND' });
+
+        report.polls++;
+        return sendJson(res, 200, report.polls < 2
+            ? { reportId: status[1], status: 'PROCESSING' }
+            : { reportId: status[1], status: 'COMPLETED', url: `${BASE_URL}/downloads/${status[1]}` });
+    }
+
+    sendJson(res, 404, { code: 'NOT_FOUND' });
+}
+
+http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+        console.error('Mock Ads API error:', error);
+        sendJson(res, 500, { code: 'INTERNAL_ERROR', details: error.message });
+    });
+}).listen(PORT, () => {
+    console.log(`🧪 Mock Amazon Ads API listening on ${BASE_URL}`);
+});
@@ -1,4 +1,5 @@
 // server.js - Enhanced KDP Analytics Backend with Amazon Ads Integration
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
@@ -6,13 +7,24 @@ const axios = require('axios');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { Readable } = require('stream');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const csvParser = require('csv-parser');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // Keep the exact bytes so extension signatures can be checked against them
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Enhanced data storage with file-based database
@@ -21,6 +33,11 @@ const USERS_FILE = path.join(DATA_DIR, 'users.json');
 const BOOKS_FILE = path.join(DATA_DIR, 'books.json');
 const ADS_FILE = path.join(DATA_DIR, 'ads.json');
 const SYNC_LOG_FILE = path.join(DATA_DIR, 'sync_log.json');
+const LEDGER_FILE = path.join(DATA_DIR, 'ledger.json');
+const FX_RATES_FILE = path.join(DATA_DIR, 'fx_rates.json');
+const KENP_RATES_FILE = path.join(DATA_DIR, 'kenp_rates.json');
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const WORKS_FILE = path.join(DATA_DIR, 'works.json');
 
 // Ensure data directory exists
 async function ensureDataDir() {
@@ -31,11 +48,59 @@ async function ensureDataDir() {
     }
 }
 
+// Map that remembers which keys were set or deleted since the last save, so
+// the SQLite backend only writes what actually changed. Objects held in a
+// TrackedMap must be written back with set() after being mutated.
+class TrackedMap extends Map {
+    constructor(entries = []) {
+        super();
+        this.changed = new Set();
+        this.deleted = new Set();
+        for (const [key, value] of entries) {
+            super.set(key, value);
+        }
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        this.changed.add(key);
+        this.deleted.delete(key);
+        return this;
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) {
+            this.deleted.add(key);
+            this.changed.delete(key);
+        }
+        return existed;
+    }
+
+    takeChanges() {
+        const changes = { changed: [...this.changed], deleted: [...this.deleted] };
+        this.changed.clear();
+        this.deleted.clear();
+        return changes;
+    }
+
+    // Put back changes taken by a save that failed
+    restoreChanges({ changed, deleted }) {
+        changed.forEach(key => this.has(key) && this.changed.add(key));
+        deleted.forEach(key => !this.has(key) && this.deleted.add(key));
+    }
+}
+
 // Enhanced data structure
 let appData = {
-    users: new Map(),
-    books: new Map(),
-    ads: new Map(),
+    users: new TrackedMap(),
+    books: new TrackedMap(),
+    ads: new TrackedMap(),
+    ledger: new TrackedMap(),
+    fxRates: new TrackedMap(),
+    kenpRates: new TrackedMap(),
+    alerts: new TrackedMap(),
+    works: new TrackedMap(),
     syncLog: [],
     settings: {
         autoSync: true,
@@ -46,14 +111,17 @@ let appData = {
 
 // Amazon Ads API Configuration
 const AMAZON_ADS_CONFIG = {
-    baseURL: 'https://advertising-api.amazon.com',
-    tokenURL: 'https://api.amazon.com/auth/o2/token',
+    baseURL: process.env.AMAZON_ADS_API_URL || 'https://advertising-api.amazon.com',
+    tokenURL: process.env.AMAZON_ADS_TOKEN_URL || 'https://api.amazon.com/auth/o2/token',
     endpoints: {
         profiles: '/v2/profiles',
         campaigns: '/v2/sp/campaigns',
         adGroups: '/v2/sp/adGroups',
         keywords: '/v2/sp/keywords',
-        reports: '/v2/reports'
+        productAds: '/v2/sp/productAds',
+        targets: '/v2/sp/targets',
+        reports: '/v2/reports',
+        reporting: '/reporting/reports'
     }
 };
 
@@ -71,52 +139,582 @@ const KDP_API_CONFIG = {
 
 // Initialize application
 async function initializeApp() {
+    loadVaultKeys();
     await ensureDataDir();
     await loadPersistedData();
+    await rotateStoredCredentials();
     console.log('🚀 KDP Analytics Pro - Enhanced Backend initialized');
 }
 
-// Load persisted data
-async function loadPersistedData() {
+// STORAGE BACKENDS
+// DATABASE_URL=sqlite:<path> selects the SQLite backend; when it is unset the
+// data lives in the JSON files under DATA_DIR.
+
+// Previous versions of each JSON data file kept as <file>.1 (newest) ... <file>.N
+const DATA_FILE_GENERATIONS = 3;
+
+// Read one JSON data file. A missing file counts as empty; an unreadable or
+// corrupt one throws, so we never boot with (and later save) an empty dataset.
+async function readJsonDataFile(file, emptyValue) {
+    let contents;
     try {
-        const [usersData, booksData, adsData, syncLogData] = await Promise.allSettled([
-            fs.readFile(USERS_FILE, 'utf8').then(JSON.parse).catch(() => ({})),
-            fs.readFile(BOOKS_FILE, 'utf8').then(JSON.parse).catch(() => ({})),
-            fs.readFile(ADS_FILE, 'utf8').then(JSON.parse).catch(() => ({})),
-            fs.readFile(SYNC_LOG_FILE, 'utf8').then(JSON.parse).catch(() => ([]))
-        ]);
+        contents = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return emptyValue;
+        throw new Error(`Cannot read data file ${file}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(contents);
+    } catch (error) {
+        throw new Error(
+            `Data file ${file} is corrupt (${error.message}). ` +
+            `Restore it from ${file}.1 ... ${file}.${DATA_FILE_GENERATIONS} or remove it to start empty.`
+        );
+    }
+}
+
+async function readJsonDataFiles() {
+    const [users, books, ads, syncLog, ledger, fxRates, kenpRates, alerts, works] = await Promise.all([
+        readJsonDataFile(USERS_FILE, {}),
+        readJsonDataFile(BOOKS_FILE, {}),
+        readJsonDataFile(ADS_FILE, {}),
+        readJsonDataFile(SYNC_LOG_FILE, []),
+        readJsonDataFile(LEDGER_FILE, {}),
+        readJsonDataFile(FX_RATES_FILE, {}),
+        readJsonDataFile(KENP_RATES_FILE, {}),
+        readJsonDataFile(ALERTS_FILE, {}),
+        readJsonDataFile(WORKS_FILE, {})
+    ]);
+
+    return { users, books, ads, syncLog, ledger, fxRates, kenpRates, alerts, works };
+}
+
+// Write a file so that readers only ever see the old or the new complete
+// version: write and fsync a temp file, keep the current file as generation
+// .1 (shifting older ones), then atomically rename the temp file into place.
+async function writeFileAtomic(file, contents) {
+    const tempFile = `${file}.tmp-${process.pid}`;
+
+    const handle = await fs.open(tempFile, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    await fs.rm(`${file}.${DATA_FILE_GENERATIONS}`, { force: true });
+    for (let generation = DATA_FILE_GENERATIONS - 1; generation >= 1; generation--) {
+        await fs.rename(`${file}.${generation}`, `${file}.${generation + 1}`).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    await fs.copyFile(file, `${file}.1`).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+
+    await fs.rename(tempFile, file);
+}
+
+function createJsonStorage() {
+    return {
+        name: 'File-based storage (JSON)',
+
+        async load() {
+            const data = await readJsonDataFiles();
+            appData.users = new TrackedMap(Object.entries(data.users));
+            appData.books = new TrackedMap(Object.entries(data.books));
+            appData.ads = new TrackedMap(Object.entries(data.ads));
+            // Re-key rows so files written before a key change still upsert correctly
+            appData.ledger = new TrackedMap(Object.values(data.ledger).map(row => [ledgerKey(row), row]));
+            appData.fxRates = new TrackedMap(Object.entries(data.fxRates));
+            appData.kenpRates = new TrackedMap(Object.entries(data.kenpRates));
+            appData.alerts = new TrackedMap(Object.entries(data.alerts));
+            appData.works = new TrackedMap(Object.entries(data.works));
+            appData.syncLog = data.syncLog;
+        },
+
+        async save() {
+            await Promise.all([
+                writeFileAtomic(USERS_FILE, JSON.stringify(Object.fromEntries(appData.users), null, 2)),
+                writeFileAtomic(BOOKS_FILE, JSON.stringify(Object.fromEntries(appData.books), null, 2)),
+                writeFileAtomic(ADS_FILE, JSON.stringify(Object.fromEntries(appData.ads), null, 2)),
+                writeFileAtomic(SYNC_LOG_FILE, JSON.stringify(appData.syncLog.slice(-1000), null, 2)), // Keep last 1000 entries
+                writeFileAtomic(LEDGER_FILE, JSON.stringify(Object.fromEntries(appData.ledger), null, 2)),
+                writeFileAtomic(FX_RATES_FILE, JSON.stringify(Object.fromEntries(appData.fxRates), null, 2)),
+                writeFileAtomic(KENP_RATES_FILE, JSON.stringify(Object.fromEntries(appData.kenpRates), null, 2)),
+                writeFileAtomic(ALERTS_FILE, JSON.stringify(Object.fromEntries(appData.alerts), null, 2)),
+                writeFileAtomic(WORKS_FILE, JSON.stringify(Object.fromEntries(appData.works), null, 2))
+            ]);
 
-        if (usersData.status === 'fulfilled') {
-            appData.users = new Map(Object.entries(usersData.value));
+            // Whole files are rewritten, so there is nothing left to track
+            [appData.users, appData.books, appData.ads, appData.ledger, appData.fxRates, appData.kenpRates, appData.alerts, appData.works].forEach(map => map.takeChanges());
         }
-        if (booksData.status === 'fulfilled') {
-            appData.books = new Map(Object.entries(booksData.value));
+    };
+}
+
+// Versioned SQLite schema. Append new migrations; never edit applied ones.
+const SQLITE_MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        sql: `
+            CREATE TABLE meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+            CREATE TABLE users (
+                user_id TEXT PRIMARY KEY,
+                email TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE books (
+                id TEXT PRIMARY KEY,
+                user_id TEXT,
+                asin TEXT,
+                title TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_books_user ON books (user_id);
+            CREATE TABLE ledger (
+                user_id TEXT NOT NULL,
+                date TEXT NOT NULL,
+                asin TEXT NOT NULL,
+                marketplace TEXT NOT NULL,
+                format TEXT NOT NULL,
+                units INTEGER NOT NULL DEFAULT 0,
+                free_units INTEGER NOT NULL DEFAULT 0,
+                kenp_pages INTEGER NOT NULL DEFAULT 0,
+                royalties REAL NOT NULL DEFAULT 0,
+                kenp_royalties REAL NOT NULL DEFAULT 0,
+                currency TEXT,
+                source TEXT,
+                updated_at TEXT,
+                PRIMARY KEY (user_id, date, asin, marketplace, format)
+            );
+            CREATE INDEX idx_ledger_user_date ON ledger (user_id, date);
+            CREATE TABLE ad_campaigns (
+                id TEXT PRIMARY KEY,
+                user_id TEXT,
+                profile_id TEXT,
+                marketplace TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_ad_campaigns_user ON ad_campaigns (user_id);
+            CREATE TABLE sync_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp TEXT NOT NULL,
+                type TEXT NOT NULL,
+                message TEXT,
+                user_id TEXT,
+                error TEXT
+            );
+        `
+    },
+    {
+        version: 2,
+        name: 'ledger_granularity',
+        sql: `
+            CREATE TABLE ledger_new (
+                user_id TEXT NOT NULL,
+                date TEXT NOT NULL,
+                asin TEXT NOT NULL,
+                marketplace TEXT NOT NULL,
+                format TEXT NOT NULL,
+                granularity TEXT NOT NULL DEFAULT 'day',
+                units INTEGER NOT NULL DEFAULT 0,
+                free_units INTEGER NOT NULL DEFAULT 0,
+                kenp_pages INTEGER NOT NULL DEFAULT 0,
+                royalties REAL NOT NULL DEFAULT 0,
+                kenp_royalties REAL NOT NULL DEFAULT 0,
+                currency TEXT,
+                source TEXT,
+                updated_at TEXT,
+                PRIMARY KEY (user_id, date, asin, marketplace, format, granularity)
+            );
+            INSERT INTO ledger_new (user_id, date, asin, marketplace, format, units, free_units, kenp_pages,
+                royalties, kenp_royalties, currency, source, updated_at)
+            SELECT user_id, date, asin, marketplace, format, units, free_units, kenp_pages,
+                royalties, kenp_royalties, currency, source, updated_at
+            FROM ledger;
+            DROP TABLE ledger;
+            ALTER TABLE ledger_new RENAME TO ledger;
+            CREATE INDEX idx_ledger_user_date ON ledger (user_id, date);
+        `
+    },
+    {
+        version: 3,
+        name: 'fx_rates',
+        sql: `
+            CREATE TABLE fx_rates (
+                date TEXT NOT NULL,
+                currency TEXT NOT NULL,
+                rate REAL NOT NULL,
+                source TEXT,
+                updated_at TEXT,
+                PRIMARY KEY (date, currency)
+            );
+        `
+    },
+    {
+        version: 4,
+        name: 'kenp_rates',
+        sql: `
+            CREATE TABLE kenp_rates (
+                month TEXT NOT NULL,
+                marketplace TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (month, marketplace)
+            );
+        `
+    },
+    {
+        version: 5,
+        name: 'alerts',
+        sql: `
+            CREATE TABLE alerts (
+                alert_id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_alerts_user ON alerts (user_id, created_at);
+        `
+    },
+    {
+        version: 6,
+        name: 'works',
+        sql: `
+            CREATE TABLE works (
+                work_id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_works_user ON works (user_id);
+        `
+    }
+];
+
+function runSqliteMigrations(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const recordMigration = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    SQLITE_MIGRATIONS
+        .filter(migration => !applied.has(migration.version))
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            runInTransaction(db, () => {
+                db.exec(migration.sql);
+                recordMigration.run(migration.version, migration.name, new Date().toISOString());
+            });
+            console.log(`🗄️ Applied database migration ${migration.version}_${migration.name}`);
+        });
+}
+
+function runInTransaction(db, work) {
+    db.exec('BEGIN');
+    try {
+        const result = work();
+        db.exec('COMMIT');
+        return result;
+    } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+    }
+}
+
+function createSqliteStorage(filename) {
+    let db = null;
+    let statements = null;
+    // Newest sync log entry already in the database (syncLog is newest-first)
+    let lastSavedLogEntry = null;
+
+    function prepareStatements() {
+        statements = {
+            upsertUser: db.prepare(`
+                INSERT INTO users (user_id, email, data) VALUES (?, ?, ?)
+                ON CONFLICT (user_id) DO UPDATE SET email = excluded.email, data = excluded.data
+            `),
+            deleteUser: db.prepare('DELETE FROM users WHERE user_id = ?'),
+            upsertBook: db.prepare(`
+                INSERT INTO books (id, user_id, asin, title, data) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET user_id = excluded.user_id, asin = excluded.asin,
+                    title = excluded.title, data = excluded.data
+            `),
+            deleteBook: db.prepare('DELETE FROM books WHERE id = ?'),
+            upsertAdCampaign: db.prepare(`
+                INSERT INTO ad_campaigns (id, user_id, profile_id, marketplace, data) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET user_id = excluded.user_id, profile_id = excluded.profile_id,
+                    marketplace = excluded.marketplace, data = excluded.data
+            `),
+            deleteAdCampaign: db.prepare('DELETE FROM ad_campaigns WHERE id = ?'),
+            upsertLedgerRow: db.prepare(`
+                INSERT INTO ledger (user_id, date, asin, marketplace, format, granularity, units, free_units, kenp_pages,
+                    royalties, kenp_royalties, currency, source, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (user_id, date, asin, marketplace, format, granularity) DO UPDATE SET
+                    units = excluded.units, free_units = excluded.free_units, kenp_pages = excluded.kenp_pages,
+                    royalties = excluded.royalties, kenp_royalties = excluded.kenp_royalties,
+                    currency = excluded.currency, source = excluded.source, updated_at = excluded.updated_at
+            `),
+            deleteLedgerRow: db.prepare(`
+                DELETE FROM ledger
+                WHERE user_id = ? AND date = ? AND asin = ? AND marketplace = ? AND format = ? AND granularity = ?
+            `),
+            upsertFxRate: db.prepare(`
+                INSERT INTO fx_rates (date, currency, rate, source, updated_at) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (date, currency) DO UPDATE SET
+                    rate = excluded.rate, source = excluded.source, updated_at = excluded.updated_at
+            `),
+            deleteFxRate: db.prepare('DELETE FROM fx_rates WHERE date = ? AND currency = ?'),
+            upsertKenpRate: db.prepare(`
+                INSERT INTO kenp_rates (month, marketplace, data) VALUES (?, ?, ?)
+                ON CONFLICT (month, marketplace) DO UPDATE SET data = excluded.data
+            `),
+            deleteKenpRate: db.prepare('DELETE FROM kenp_rates WHERE month = ? AND marketplace = ?'),
+            upsertAlert: db.prepare(`
+                INSERT INTO alerts (alert_id, user_id, created_at, data) VALUES (?, ?, ?, ?)
+                ON CONFLICT (alert_id) DO UPDATE SET data = excluded.data
+            `),
+            deleteAlert: db.prepare('DELETE FROM alerts WHERE alert_id = ?'),
+            upsertWork: db.prepare(`
+                INSERT INTO works (work_id, user_id, data) VALUES (?, ?, ?)
+                ON CONFLICT (work_id) DO UPDATE SET data = excluded.data
+            `),
+            deleteWork: db.prepare('DELETE FROM works WHERE work_id = ?'),
+            insertSyncLog: db.prepare('INSERT INTO sync_logs (timestamp, type, message, user_id, error) VALUES (?, ?, ?, ?, ?)')
+        };
+    }
+
+    const writers = {
+        users: {
+            upsert: (key, user) => statements.upsertUser.run(key, user.email || null, JSON.stringify(user)),
+            delete: key => statements.deleteUser.run(key)
+        },
+        books: {
+            upsert: (key, book) => statements.upsertBook.run(key, book.userId || null, book.asin || null, book.title || null, JSON.stringify(book)),
+            delete: key => statements.deleteBook.run(key)
+        },
+        ads: {
+            upsert: (key, ad) => statements.upsertAdCampaign.run(
+                key, ad.userId || null, ad.profileId ? String(ad.profileId) : null, ad.marketplace || null, JSON.stringify(ad)
+            ),
+            delete: key => statements.deleteAdCampaign.run(key)
+        },
+        ledger: {
+            upsert: (key, row) => statements.upsertLedgerRow.run(
+                row.userId, row.date, row.asin, row.marketplace, row.format, row.granularity || 'day',
+                row.units, row.freeUnits, row.kenpPages,
+                row.royalties, row.kenpRoyalties, row.currency || null, row.source || null, row.updatedAt || null
+            ),
+            delete: key => statements.deleteLedgerRow.run(...key.split('|'))
+        },
+        fxRates: {
+            upsert: (key, fxRate) => statements.upsertFxRate.run(
+                fxRate.date, fxRate.currency, fxRate.rate, fxRate.source || null, fxRate.updatedAt || null
+            ),
+            delete: key => statements.deleteFxRate.run(...key.split('|'))
+        },
+        kenpRates: {
+            upsert: (key, kenpRate) => statements.upsertKenpRate.run(kenpRate.month, kenpRate.marketplace, JSON.stringify(kenpRate)),
+            delete: key => statements.deleteKenpRate.run(...key.split('|'))
+        },
+        alerts: {
+            upsert: (key, alert) => statements.upsertAlert.run(key, alert.userId, alert.createdAt, JSON.stringify(alert)),
+            delete: key => statements.deleteAlert.run(key)
+        },
+        works: {
+            upsert: (key, work) => statements.upsertWork.run(key, work.userId, JSON.stringify(work)),
+            delete: key => statements.deleteWork.run(key)
         }
-        if (adsData.status === 'fulfilled') {
-            appData.ads = new Map(Object.entries(adsData.value));
+    };
+
+    function insertSyncLogEntries(entries) {
+        // Oldest first so autoincrement ids follow chronological order
+        [...entries].reverse().forEach(entry => {
+            statements.insertSyncLog.run(entry.timestamp, entry.type, entry.message || null, entry.userId || null, entry.error || null);
+        });
+    }
+
+    // One-time import of the legacy JSON files into a fresh database
+    async function importJsonData() {
+        const imported = db.prepare("SELECT value FROM meta WHERE key = 'json_import_completed_at'").get();
+        if (imported) return;
+
+        const data = await readJsonDataFiles();
+
+        runInTransaction(db, () => {
+            Object.entries(data.users).forEach(([key, value]) => writers.users.upsert(key, value));
+            Object.entries(data.books).forEach(([key, value]) => writers.books.upsert(key, value));
+            Object.entries(data.ads).forEach(([key, value]) => writers.ads.upsert(key, value));
+            Object.entries(data.ledger).forEach(([key, value]) => writers.ledger.upsert(key, value));
+            Object.entries(data.fxRates).forEach(([key, value]) => writers.fxRates.upsert(key, value));
+            Object.entries(data.kenpRates).forEach(([key, value]) => writers.kenpRates.upsert(key, value));
+            Object.entries(data.alerts).forEach(([key, value]) => writers.alerts.upsert(key, value));
+            Object.entries(data.works).forEach(([key, value]) => writers.works.upsert(key, value));
+            insertSyncLogEntries(data.syncLog);
+            db.prepare("INSERT INTO meta (key, value) VALUES ('json_import_completed_at', ?)").run(new Date().toISOString());
+        });
+
+        const total = Object.keys(data.users).length + Object.keys(data.books).length + Object.keys(data.ads).length + Object.keys(data.ledger).length;
+        if (total > 0) {
+            console.log(`📥 Imported JSON data into SQLite: ${Object.keys(data.users).length} users, ${Object.keys(data.books).length} books, ${Object.keys(data.ads).length} ad campaigns, ${Object.keys(data.ledger).length} ledger rows`);
         }
-        if (syncLogData.status === 'fulfilled') {
-            appData.syncLog = syncLogData.value;
+    }
+
+    return {
+        name: `SQLite (${filename})`,
+
+        async load() {
+            // node:sqlite ships with Node 22; only load it when SQLite is configured
+            const { DatabaseSync } = require('node:sqlite');
+
+            await fs.mkdir(path.dirname(filename), { recursive: true });
+            db = new DatabaseSync(filename);
+            db.exec('PRAGMA journal_mode = WAL');
+
+            runSqliteMigrations(db);
+            prepareStatements();
+            await importJsonData();
+
+            const parseRows = (rows, keyColumn) => rows.map(row => [row[keyColumn], JSON.parse(row.data)]);
+
+            appData.users = new TrackedMap(parseRows(db.prepare('SELECT user_id, data FROM users').all(), 'user_id'));
+            appData.books = new TrackedMap(parseRows(db.prepare('SELECT id, data FROM books').all(), 'id'));
+            appData.ads = new TrackedMap(parseRows(db.prepare('SELECT id, data FROM ad_campaigns').all(), 'id'));
+            appData.ledger = new TrackedMap(db.prepare('SELECT * FROM ledger').all().map(row => {
+                const ledgerRow = {
+                    userId: row.user_id,
+                    date: row.date,
+                    asin: row.asin,
+                    marketplace: row.marketplace,
+                    format: row.format,
+                    granularity: row.granularity,
+                    units: row.units,
+                    freeUnits: row.free_units,
+                    kenpPages: row.kenp_pages,
+                    royalties: row.royalties,
+                    kenpRoyalties: row.kenp_royalties,
+                    currency: row.currency,
+                    source: row.source,
+                    updatedAt: row.updated_at
+                };
+                return [ledgerKey(ledgerRow), ledgerRow];
+            }));
+            appData.fxRates = new TrackedMap(db.prepare('SELECT * FROM fx_rates').all().map(row => {
+                const fxRate = {
+                    date: row.date,
+                    currency: row.currency,
+                    rate: row.rate,
+                    source: row.source,
+                    updatedAt: row.updated_at
+                };
+                return [fxRateKey(fxRate), fxRate];
+            }));
+            appData.kenpRates = new TrackedMap(db.prepare('SELECT data FROM kenp_rates').all().map(row => {
+                const kenpRate = JSON.parse(row.data);
+                return [kenpRateKey(kenpRate.month, kenpRate.marketplace), kenpRate];
+            }));
+            appData.alerts = new TrackedMap(parseRows(db.prepare('SELECT alert_id, data FROM alerts').all(), 'alert_id'));
+            appData.works = new TrackedMap(parseRows(db.prepare('SELECT work_id, data FROM works').all(), 'work_id'));
+            appData.syncLog = db.prepare('SELECT * FROM sync_logs ORDER BY id DESC LIMIT 1000').all().map(row => ({
+                timestamp: row.timestamp,
+                type: row.type,
+                message: row.message,
+                userId: row.user_id,
+                error: row.error
+            }));
+            lastSavedLogEntry = appData.syncLog[0] || null;
+        },
+
+        async save() {
+            const collections = ['users', 'books', 'ads', 'ledger', 'fxRates', 'kenpRates', 'alerts', 'works'];
+            const changes = {};
+            collections.forEach(name => {
+                changes[name] = appData[name].takeChanges();
+            });
+
+            const savedIndex = lastSavedLogEntry ? appData.syncLog.indexOf(lastSavedLogEntry) : -1;
+            const newLogEntries = savedIndex === -1 ? appData.syncLog : appData.syncLog.slice(0, savedIndex);
+
+            try {
+                runInTransaction(db, () => {
+                    collections.forEach(name => {
+                        changes[name].changed.forEach(key => {
+                            const value = appData[name].get(key);
+                            if (value) writers[name].upsert(key, value);
+                        });
+                        changes[name].deleted.forEach(key => writers[name].delete(key));
+                    });
+                    insertSyncLogEntries(newLogEntries);
+                });
+                lastSavedLogEntry = appData.syncLog[0] || lastSavedLogEntry;
+            } catch (error) {
+                collections.forEach(name => appData[name].restoreChanges(changes[name]));
+                throw error;
+            }
         }
+    };
+}
 
-        console.log(`📊 Loaded: ${appData.users.size} users, ${appData.books.size} books, ${appData.ads.size} ad campaigns`);
-    } catch (error) {
-        console.error('Error loading persisted data:', error);
+function createStorage(databaseUrl) {
+    if (!databaseUrl) {
+        return createJsonStorage();
     }
+
+    if (databaseUrl.startsWith('sqlite:')) {
+        const filename = databaseUrl.replace(/^sqlite:(\/\/)?/, '');
+        return createSqliteStorage(filename);
+    }
+
+    throw new Error(`Unsupported DATABASE_URL "${databaseUrl}" (expected sqlite:<path>)`);
+}
+
+const storage = createStorage(process.env.DATABASE_URL);
+
+// Saves only start once the data loaded, so a failed load can never overwrite good files
+let dataLoaded = false;
+
+// Load persisted data. Errors propagate: startup is aborted rather than
+// continuing with an empty dataset.
+async function loadPersistedData() {
+    await storage.load();
+    dataLoaded = true;
+
+    console.log(`📊 Loaded: ${appData.users.size} users, ${appData.books.size} books, ${appData.ads.size} ad campaigns, ${appData.ledger.size} ledger rows, ${appData.fxRates.size} exchange rates, ${appData.kenpRates.size} KENP rates, ${appData.alerts.size} alerts, ${appData.works.size} works`);
 }
 
+// Save queue: saves run one at a time. A save requested while another is
+// running waits for it; requests arriving while one is already waiting share
+// that waiting save, which will include their changes.
+let saveChain = Promise.resolve();
+let queuedSave = null;
+
 // Save data to disk
-async function saveDataToDisk() {
-    try {
-        await Promise.all([
-            fs.writeFile(USERS_FILE, JSON.stringify(Object.fromEntries(appData.users), null, 2)),
-            fs.writeFile(BOOKS_FILE, JSON.stringify(Object.fromEntries(appData.books), null, 2)),
-            fs.writeFile(ADS_FILE, JSON.stringify(Object.fromEntries(appData.ads), null, 2)),
-            fs.writeFile(SYNC_LOG_FILE, JSON.stringify(appData.syncLog.slice(-1000), null, 2)) // Keep last 1000 entries
-        ]);
-    } catch (error) {
-        console.error('Error saving data to disk:', error);
-    }
+function saveDataToDisk() {
+    if (!dataLoaded) return Promise.resolve();
+    if (queuedSave) return queuedSave;
+
+    queuedSave = saveChain.then(async () => {
+        queuedSave = null;
+        try {
+            await storage.save();
+        } catch (error) {
+            console.error('Error saving data to disk:', error);
+        }
+    });
+    saveChain = queuedSave;
+
+    return queuedSave;
 }
 
 // Generate user session token
@@ -144,129 +742,1122 @@ function logSyncActivity(type, message, userId = null, error = null) {
     console.log(`📝 [${type}] ${message}${userId ? ` (User: ${userId})` : ''}`);
 }
 
-// AUTHENTICATION ENDPOINTS
+// CREDENTIAL VAULT
+// KDP and Amazon Ads credentials are kept as AES-256-GCM envelopes, in memory
+// and on disk, and are only decrypted where they are used. ENCRYPTION_KEY
+// encrypts; keys listed in ENCRYPTION_KEY_PREVIOUS (comma separated) can still
+// decrypt, and anything sealed with them is re-encrypted at startup.
 
-// Enhanced setup with Amazon Ads integration
-app.post('/api/setup', async (req, res) => {
-    try {
-        const { email, password, mfaCode, amazonAdsCredentials } = req.body;
-        
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email and password are required'
-            });
-        }
-        
-        const userId = crypto.createHash('sha256').update(email).digest('hex').substring(0, 16);
-        const sessionToken = generateSessionToken();
-        
-        // Authenticate with Amazon KDP
-        const kdpAuthResult = await authenticateKDP(email, password, mfaCode);
-        
-        if (!kdpAuthResult.success) {
-            return res.status(401).json({
-                success: false,
-                error: kdpAuthResult.error || 'KDP Authentication failed'
-            });
-        }
-        
-        // Setup Amazon Ads if credentials provided
-        let adsAuthResult = { success: true, credentials: null };
-        if (amazonAdsCredentials) {
-            adsAuthResult = await authenticateAmazonAds(amazonAdsCredentials);
-        }
-        
-        // Create user profile
-        const userProfile = {
-            userId,
-            email,
-            sessionToken,
-            kdpCredentials: kdpAuthResult.credentials,
-            adsCredentials: adsAuthResult.credentials,
-            setupDate: new Date().toISOString(),
-            lastSync: null,
-            settings: {
-                autoSync: true,
-                syncInterval: 10,
-                currency: 'EUR',
-                timezone: 'Europe/Rome'
-            }
-        };
-        
-        appData.users.set(userId, userProfile);
-        
-        // Perform initial sync
-        const syncResult = await performFullSync(userId);
-        
-        // Save to disk
-        await saveDataToDisk();
-        
-        logSyncActivity('SETUP', `New user setup completed: ${email}`, userId);
-        
-        res.json({
-            success: true,
-            message: 'Setup completed successfully',
-            data: {
-                userId,
-                sessionToken,
-                booksFound: syncResult.books?.length || 0,
-                adsFound: syncResult.ads?.length || 0,
-                totalRevenue: syncResult.totalRevenue || 0,
-                lastSync: new Date().toISOString()
-            }
-        });
-        
-    } catch (error) {
-        console.error('Setup error:', error);
-        logSyncActivity('ERROR', 'Setup failed', null, error);
-        res.status(500).json({
-            success: false,
-            error: 'Setup failed: ' + error.message
+const VAULT_FIELDS = ['kdpCredentials', 'adsCredentials'];
+let vaultKeys = null;
+
+function deriveVaultKey(secret) {
+    const key = crypto.scryptSync(secret, 'kdp-analytics-credential-vault', 32);
+    return {
+        id: crypto.createHash('sha256').update(key).digest('hex').substring(0, 12),
+        key
+    };
+}
+
+function loadVaultKeys() {
+    if (!process.env.ENCRYPTION_KEY) {
+        throw new Error('ENCRYPTION_KEY is not set; it is required to encrypt stored credentials');
+    }
+
+    const current = deriveVaultKey(process.env.ENCRYPTION_KEY);
+    const previous = (process.env.ENCRYPTION_KEY_PREVIOUS || '')
+        .split(',')
+        .map(secret => secret.trim())
+        .filter(Boolean)
+        .map(deriveVaultKey);
+
+    vaultKeys = {
+        current,
+        byId: new Map([current, ...previous].map(vaultKey => [vaultKey.id, vaultKey]))
+    };
+}
+
+function isSealed(value) {
+    return Boolean(value && value.vault === 1 && value.ciphertext);
+}
+
+function sealCredentials(credentials) {
+    if (!credentials) return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', vaultKeys.current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+    return {
+        vault: 1,
+        keyId: vaultKeys.current.id,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+function openCredentials(envelope) {
+    if (!envelope) return null;
+    if (!isSealed(envelope)) {
+        throw new Error('Stored credentials are not encrypted');
+    }
+
+    const vaultKey = vaultKeys.byId.get(envelope.keyId);
+    if (!vaultKey) {
+        throw new Error(`Credentials were encrypted with an unknown key (${envelope.keyId}); add that key to ENCRYPTION_KEY_PREVIOUS`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', vaultKey.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+// Encrypt credentials saved by older versions in clear text and move
+// envelopes sealed with a previous key to the current one
+async function rotateStoredCredentials() {
+    let resealed = 0;
+    let plaintext = 0;
+
+    for (const [userId, user] of appData.users) {
+        let changed = false;
+
+        VAULT_FIELDS.forEach(field => {
+            const value = user[field];
+            if (!value || (isSealed(value) && value.keyId === vaultKeys.current.id)) return;
+
+            if (!isSealed(value)) plaintext++;
+            user[field] = sealCredentials(isSealed(value) ? openCredentials(value) : value);
+            changed = true;
         });
+
+        if (changed) {
+            appData.users.set(userId, user);
+            resealed++;
+        }
     }
-});
 
-// Get user data
-app.get('/api/data', async (req, res) => {
-    try {
-        const { userId, sessionToken } = req.query;
-        
-        if (!userId || !sessionToken) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
+    if (resealed === 0) return;
+
+    await saveDataToDisk();
+    console.log(`🔐 Re-encrypted stored credentials for ${resealed} users`);
+    if (plaintext > 0) {
+        console.warn('⚠️ Credentials were stored unencrypted before: delete old backups and previous data file generations (users.json.1 ...)');
+    }
+}
+
+// EXCHANGE RATES
+// Daily reference rates in ECB form (units of a currency per 1 EUR), keyed by
+// date and currency. An amount converts at the rate of its own date, or of the
+// nearest earlier day with one (none are published on weekends and holidays);
+// dates before the imported history use its first rate.
+
+const FX_REFERENCE_CURRENCY = 'EUR';
+const DEFAULT_BASE_CURRENCY = 'EUR';
+
+function fxRateKey(fxRate) {
+    return `${fxRate.date}|${fxRate.currency}`;
+}
+
+// Sorted dates and rates per currency, rebuilt after rates change
+let fxRateIndex = null;
+
+function getFxRateIndex() {
+    if (fxRateIndex) return fxRateIndex;
+
+    fxRateIndex = new Map();
+    Array.from(appData.fxRates.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(({ date, currency, rate }) => {
+            if (!fxRateIndex.has(currency)) fxRateIndex.set(currency, { dates: [], rates: [] });
+            const series = fxRateIndex.get(currency);
+            series.dates.push(date);
+            series.rates.push(rate);
+        });
+
+    return fxRateIndex;
+}
+
+// Units of `currency` per EUR on a date, or null if the currency has no rates
+function fxRateOn(currency, date) {
+    if (currency === FX_REFERENCE_CURRENCY) return 1;
+    const series = getFxRateIndex().get(currency);
+    if (!series) return null;
+
+    // Binary search for the last rate on or before the date
+    let found = 0;
+    let low = 0;
+    let high = series.dates.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (series.dates[middle] <= date) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
         }
-        
-        const user = appData.users.get(userId);
-        if (!user || user.sessionToken !== sessionToken) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid session'
+    }
+
+    return series.rates[found];
+}
+
+// Convert an amount at a date's rates; null when either currency has no rates
+function convertCurrency(amount, from, to, date) {
+    if (!amount || from === to) return amount;
+    const fromRate = fxRateOn(from, date);
+    const toRate = fxRateOn(to, date);
+    if (!fromRate || !toRate) return null;
+    return amount / fromRate * toRate;
+}
+
+function userBaseCurrency(userId) {
+    return appData.users.get(userId)?.settings?.currency || DEFAULT_BASE_CURRENCY;
+}
+
+// Copy of a dated row with its money fields converted to `currency`. The
+// original amounts are kept under `original`; a row that cannot be converted
+// is flagged with fxMissing and its money fields count as 0, so base-currency
+// totals never add amounts in another currency.
+function convertRowAmounts(row, fields, currency) {
+    const from = row.currency || currency;
+    const original = { currency: from };
+    fields.forEach(field => {
+        original[field] = row[field];
+    });
+
+    const converted = { ...row, currency, original };
+    for (const field of fields) {
+        const value = convertCurrency(row[field], from, currency, row.date);
+        if (value === null) {
+            fields.forEach(unconverted => {
+                converted[unconverted] = 0;
             });
+            return { ...converted, fxMissing: true };
         }
-        
-        // Get user's books and ads
-        const userBooks = Array.from(appData.books.values()).filter(book => book.userId === userId);
-        const userAds = Array.from(appData.ads.values()).filter(ad => ad.userId === userId);
-        
-        // Calculate totals
-        const totalRevenue = userBooks.reduce((sum, book) => sum + (book.totalRoyalties || 0), 0);
-        const totalSpending = userAds.reduce((sum, ad) => sum + (ad.spend || 0), 0);
-        const netRevenue = totalRevenue - totalSpending;
-        
-        res.json({
-            success: true,
-            data: {
-                books: userBooks,
-                ads: userAds,
-                summary: {
-                    totalRevenue,
-                    totalSpending,
-                    netRevenue,
-                    totalBooks: userBooks.length,
+        converted[field] = value;
+    }
+
+    return converted;
+}
+
+// Currencies of rows that could not be converted for lack of rates
+function missingFxCurrencies(rows) {
+    return Array.from(new Set(rows.filter(row => row.fxMissing).map(row => row.original.currency))).sort();
+}
+
+// KENP RATES
+// Amazon's per-page KENP rate for each month and marketplace, in the
+// marketplace's currency. A rate stays 'estimated' until the finalized one
+// is entered; each entry keeps its previous values in `history`. Ledger rows
+// with pages read but no reported KENP royalty are valued at these rates when
+// queried, so entering the final rate replaces the estimate everywhere.
+
+const KENP_RATE_STATUSES = ['estimated', 'final'];
+
+// Only report imports list pages read apart from their royalty. Extension and
+// sync snapshots carry per-book totals, where page-read income is already
+// part of `royalties`, so their pages are never valued a second time.
+const KENP_ESTIMATE_SOURCES = ['kdp_report'];
+
+function kenpRateKey(month, marketplace) {
+    return `${month}|${marketplace}`;
+}
+
+// Rate for pages read in a month: the month's own entry, otherwise the
+// marketplace's latest earlier rate as an estimate (null if there is none)
+function kenpRateFor(month, marketplace) {
+    const entry = appData.kenpRates.get(kenpRateKey(month, marketplace));
+    if (entry) return { month, rate: entry.rate, status: entry.status };
+
+    let latest = null;
+    for (const candidate of appData.kenpRates.values()) {
+        if (candidate.marketplace !== marketplace || candidate.month > month) continue;
+        if (!latest || candidate.month > latest.month) latest = candidate;
+    }
+
+    return latest ? { month: latest.month, rate: latest.rate, status: 'estimated' } : null;
+}
+
+// Value unpaid-for pages at the rate table. Rows valued this way carry the
+// rate used and kenpEstimated (true unless the month's rate is final).
+function applyKenpRates(rows) {
+    const rates = new Map();
+
+    return rows.map(row => {
+        if (!row.kenpPages || row.kenpRoyalties || !KENP_ESTIMATE_SOURCES.includes(row.source)) return row;
+
+        const month = row.date.substring(0, 7);
+        const key = kenpRateKey(month, row.marketplace);
+        if (!rates.has(key)) rates.set(key, kenpRateFor(month, row.marketplace));
+
+        const kenpRate = rates.get(key);
+        if (!kenpRate) return row;
+        return { ...row, kenpRoyalties: row.kenpPages * kenpRate.rate, kenpRate, kenpEstimated: kenpRate.status !== 'final' };
+    });
+}
+
+// Create or change a month's rate, moving the previous value into the history
+function setKenpRate({ month, marketplace, rate, status }, userId) {
+    const existing = appData.kenpRates.get(kenpRateKey(month, marketplace));
+    if (existing && existing.rate === rate && existing.status === status) return existing;
+
+    const { history = [], ...previous } = existing || {};
+    const entry = {
+        month,
+        marketplace,
+        currency: MARKETPLACE_CURRENCIES[marketplace],
+        rate,
+        status,
+        updatedAt: new Date().toISOString(),
+        updatedBy: userId,
+        history: existing
+            ? [...history, { rate: previous.rate, status: previous.status, updatedAt: previous.updatedAt, updatedBy: previous.updatedBy }]
+            : []
+    };
+
+    appData.kenpRates.set(kenpRateKey(month, marketplace), entry);
+    return entry;
+}
+
+// ROYALTY LEDGER
+// One row per (user, sale date, ASIN, marketplace, format). `royalties` holds
+// sales royalties only; page-read royalties live in `kenpRoyalties`. Rows from
+// monthly royalty reports have granularity 'month' and are dated on the 1st.
+
+const MARKETPLACE_CURRENCIES = {
+    US: 'USD',
+    UK: 'GBP',
+    DE: 'EUR',
+    FR: 'EUR',
+    IT: 'EUR',
+    ES: 'EUR',
+    NL: 'EUR',
+    CA: 'CAD',
+    AU: 'AUD',
+    JP: 'JPY',
+    IN: 'INR',
+    BR: 'BRL',
+    MX: 'MXN',
+    PL: 'PLN',
+    SE: 'SEK'
+};
+
+// Normalize free-form format labels ("Paperback", "eBook", "Kindle") to a ledger format
+function normalizeFormat(format) {
+    const value = String(format || '').toLowerCase();
+    if (value.includes('paper')) return 'paperback';
+    if (value.includes('hard')) return 'hardcover';
+    return 'ebook';
+}
+
+// Convert a date-like value to a YYYY-MM-DD ledger date (null if invalid)
+function toLedgerDate(value) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) return null;
+    return date.toISOString().substring(0, 10);
+}
+
+const LEDGER_METRICS = ['units', 'freeUnits', 'kenpPages', 'royalties', 'kenpRoyalties'];
+const LEDGER_MONEY_FIELDS = ['royalties', 'kenpRoyalties'];
+
+function ledgerKey(row) {
+    return [row.userId, row.date, row.asin, row.marketplace, row.format, row.granularity || 'day'].join('|');
+}
+
+function createLedgerRow(fields) {
+    const marketplace = String(fields.marketplace || 'US').toUpperCase();
+
+    return {
+        userId: fields.userId,
+        date: fields.date,
+        asin: fields.asin,
+        marketplace,
+        format: normalizeFormat(fields.format),
+        granularity: fields.granularity === 'month' ? 'month' : 'day',
+        units: Number(fields.units) || 0,
+        freeUnits: Number(fields.freeUnits) || 0,
+        kenpPages: Number(fields.kenpPages) || 0,
+        royalties: Number(fields.royalties) || 0,
+        kenpRoyalties: Number(fields.kenpRoyalties) || 0,
+        currency: fields.currency || MARKETPLACE_CURRENCIES[marketplace] || 'USD',
+        source: fields.source || 'unknown',
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Split a per-book snapshot (extension or sync payload) into per-format ledger rows
+function ledgerRowsFromBook(book, { userId, date, source }) {
+    const base = {
+        userId,
+        date,
+        asin: book.asin || book.id,
+        marketplace: book.marketplace || book.country,
+        currency: book.currency,
+        source
+    };
+
+    const hasFormatBreakdown = ['ebookSales', 'ebookRoyalties', 'paperbackSales', 'paperbackRoyalties', 'hardcoverSales', 'hardcoverRoyalties']
+        .some(field => book[field] !== undefined);
+
+    let rows;
+    if (hasFormatBreakdown) {
+        rows = [
+            createLedgerRow({
+                ...base,
+                format: 'ebook',
+                units: book.ebookSales,
+                freeUnits: book.freeUnits,
+                kenpPages: book.kenpReads,
+                royalties: book.ebookRoyalties,
+                kenpRoyalties: book.kenpRoyalties
+            }),
+            createLedgerRow({ ...base, format: 'paperback', units: book.paperbackSales, royalties: book.paperbackRoyalties }),
+            createLedgerRow({ ...base, format: 'hardcover', units: book.hardcoverSales, royalties: book.hardcoverRoyalties })
+        ];
+    } else {
+        // Only totals are known: attribute them to the book's own format
+        const kenpRoyalties = Number(book.kenpRoyalties) || 0;
+        rows = [createLedgerRow({
+            ...base,
+            format: book.format,
+            units: book.totalSales,
+            freeUnits: book.freeUnits,
+            kenpPages: book.kenpReads,
+            royalties: Math.max((Number(book.totalRoyalties) || 0) - kenpRoyalties, 0),
+            kenpRoyalties
+        })];
+    }
+
+    return rows.filter(row => row.units || row.freeUnits || row.kenpPages || row.royalties || row.kenpRoyalties);
+}
+
+// Extension and sync snapshots show running totals for a period (month to date
+// unless the payload names one), not one day's sales. Each day is booked the
+// growth since the last snapshot of the period taken on an earlier day, so a
+// period's rows always add up to its latest snapshot however often it is
+// scraped. Returns the rows to record and the book's updated ledgerSnapshots.
+function ledgerRowsFromSnapshot(book, rows, { period, date }) {
+    const snapshots = { ...book.ledgerSnapshots };
+
+    const deltas = rows.map(row => {
+        const key = `${row.source}|${row.marketplace}|${row.format}`;
+        const previous = snapshots[key];
+        const figures = Object.fromEntries(LEDGER_METRICS.map(metric => [metric, row[metric]]));
+
+        let baseline = null;
+        if (previous && previous.period === period) {
+            baseline = previous.date === date ? previous.baseline : previous.figures;
+        }
+        snapshots[key] = { period, date, figures, baseline };
+
+        if (!baseline) return row;
+        const delta = { ...row };
+        LEDGER_METRICS.forEach(metric => {
+            delta[metric] = row[metric] - baseline[metric];
+        });
+        return delta;
+    });
+
+    // A day whose growth is back to zero still replaces what was booked earlier that day
+    return {
+        rows: deltas.filter(row => LEDGER_METRICS.some(metric => row[metric]) || appData.ledger.has(ledgerKey(row))),
+        snapshots
+    };
+}
+
+// Upsert ledger rows. Re-ingesting the same (date, ASIN, marketplace, format)
+// replaces the previous figures, so repeated scrapes of a day never double count.
+function recordLedgerRows(rows) {
+    const result = { inserted: 0, updated: 0 };
+
+    rows.forEach(row => {
+        if (!row.userId || !row.asin || !row.date) return;
+
+        const key = ledgerKey(row);
+        if (appData.ledger.has(key)) {
+            result.updated++;
+        } else {
+            result.inserted++;
+        }
+        appData.ledger.set(key, row);
+    });
+
+    return result;
+}
+
+const LEDGER_FORMATS = ['ebook', 'paperback', 'hardcover'];
+
+// Validate the optional marketplace, format and author filters of a request
+function resolveFilters({ marketplace, format, author } = {}) {
+    const filters = {};
+
+    if (marketplace) {
+        filters.marketplace = String(marketplace).toUpperCase();
+        if (!MARKETPLACE_CURRENCIES[filters.marketplace]) {
+            return { error: `marketplace must be one of: ${Object.keys(MARKETPLACE_CURRENCIES).join(', ')}` };
+        }
+    }
+    if (format) {
+        if (!LEDGER_FORMATS.includes(format)) {
+            return { error: `format must be one of: ${LEDGER_FORMATS.join(', ')}` };
+        }
+        filters.format = format;
+    }
+    if (author && String(author).trim()) {
+        filters.author = String(author).trim();
+    }
+
+    return filters;
+}
+
+// Whether a catalog book passes the format and author filters
+function matchesBookFilters(book, { format, author } = {}) {
+    if (format && normalizeFormat(book.format) !== format) return false;
+    if (author && String(book.author || '').trim().toLowerCase() !== author.toLowerCase()) return false;
+    return true;
+}
+
+// ASINs of a user's books passing the format and author filters, null when neither is set
+function filteredAsins(userId, filters = {}) {
+    if (!filters.format && !filters.author) return null;
+
+    return new Set(Array.from(appData.books.values())
+        .filter(book => book.userId === userId && matchesBookFilters(book, filters))
+        .map(bookAsin));
+}
+
+// Validate the optional startDate/endDate (YYYY-MM-DD, inclusive) of a request,
+// along with its marketplace, format and author filters
+function resolvePeriod({ startDate, endDate, ...query } = {}) {
+    const period = { startDate: startDate || null, endDate: endDate || null };
+
+    for (const [name, value] of Object.entries(period)) {
+        if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || toLedgerDate(value) !== value)) {
+            return { error: `${name} must be a valid YYYY-MM-DD date` };
+        }
+    }
+
+    if (period.startDate && period.endDate && period.startDate > period.endDate) {
+        return { error: 'startDate must not be after endDate' };
+    }
+
+    const filters = resolveFilters(query);
+    if (filters.error) return filters;
+
+    return { ...period, ...filters };
+}
+
+// Get a user's ledger rows, optionally restricted to a period and dimensions.
+// Monthly rows count for any period overlapping their month. Royalties are
+// converted to the user's base currency at each row's own date, after
+// unreported KENP royalties are filled in from the KENP rate table.
+function queryLedger(userId, { startDate, endDate, asin, marketplace, format, author } = {}) {
+    const authorAsins = filteredAsins(userId, { author });
+    const rows = [];
+
+    for (const row of appData.ledger.values()) {
+        if (row.userId !== userId) continue;
+        const rowEnd = row.granularity === 'month' ? `${row.date.substring(0, 7)}-31` : row.date;
+        if (startDate && rowEnd < startDate) continue;
+        if (endDate && row.date > endDate) continue;
+        if (asin && row.asin !== asin) continue;
+        if (marketplace && row.marketplace !== marketplace) continue;
+        if (format && row.format !== format) continue;
+        if (authorAsins && !authorAsins.has(String(row.asin).toUpperCase())) continue;
+        rows.push(row);
+    }
+
+    const currency = userBaseCurrency(userId);
+    return applyKenpRates(supersedeDailyRows(rows))
+        .map(row => convertRowAmounts(row, LEDGER_MONEY_FIELDS, currency))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Finalized monthly figures replace the daily rows of the same month, ASIN,
+// marketplace and format, so importing both reports never double counts
+function supersedeDailyRows(rows) {
+    const monthBucket = row => [row.date.substring(0, 7), row.asin, row.marketplace, row.format].join('|');
+    const monthlyBuckets = new Set(rows.filter(row => row.granularity === 'month').map(monthBucket));
+    if (monthlyBuckets.size === 0) return rows;
+
+    return rows.filter(row => row.granularity === 'month' || !monthlyBuckets.has(monthBucket(row)));
+}
+
+function summarizeLedgerRows(rows) {
+    const summary = rows.reduce((totals, row) => {
+        totals.units += row.units;
+        totals.freeUnits += row.freeUnits;
+        totals.kenpPages += row.kenpPages;
+        totals.royalties += row.royalties;
+        totals.kenpRoyalties += row.kenpRoyalties;
+        if (row.kenpEstimated) totals.estimatedKenpRoyalties += row.kenpRoyalties;
+        return totals;
+    }, { units: 0, freeUnits: 0, kenpPages: 0, royalties: 0, kenpRoyalties: 0, estimatedKenpRoyalties: 0 });
+
+    summary.totalRoyalties = summary.royalties + summary.kenpRoyalties;
+    return summary;
+}
+
+function emptyBookTotals() {
+    return {
+        ebookSales: 0,
+        ebookRoyalties: 0,
+        paperbackSales: 0,
+        paperbackRoyalties: 0,
+        hardcoverSales: 0,
+        hardcoverRoyalties: 0,
+        freeUnits: 0,
+        kenpReads: 0,
+        kenpRoyalties: 0,
+        totalSales: 0,
+        totalRoyalties: 0
+    };
+}
+
+// Roll ledger rows up to the per-book fields the dashboard tables expect, keyed
+// by upper-case ASIN like the ad totals
+function computeBookTotals(rows) {
+    const totals = new Map();
+
+    rows.forEach(row => {
+        const asin = String(row.asin).toUpperCase();
+        if (!totals.has(asin)) {
+            totals.set(asin, emptyBookTotals());
+        }
+
+        const book = totals.get(asin);
+        book[`${row.format}Sales`] += row.units;
+        book[`${row.format}Royalties`] += row.royalties;
+        book.freeUnits += row.freeUnits;
+        book.kenpReads += row.kenpPages;
+        book.kenpRoyalties += row.kenpRoyalties;
+        book.totalSales += row.units;
+        book.totalRoyalties += row.royalties + row.kenpRoyalties;
+    });
+
+    return totals;
+}
+
+// Advertising metrics of a book from its ledger and ad totals
+function bookAdMetrics(totals) {
+    return computeAdMetrics({
+        impressions: totals.adImpressions,
+        clicks: totals.adClicks,
+        spend: totals.adSpend,
+        orders: totals.adOrders,
+        sales: totals.adSales,
+        royalties: totals.totalRoyalties,
+        salesRoyalties: totals.totalRoyalties - totals.kenpRoyalties,
+        units: totals.totalSales
+    });
+}
+
+// Attach period totals from the ledger and attributed ad metrics, and the
+// work each book belongs to, to a user's catalog entries
+function getBooksWithTotals(userId, period) {
+    const rows = queryLedger(userId, period);
+    const totals = computeBookTotals(rows);
+    const adTotals = getAdTotalsByAsin(userId, period);
+    const works = workIndex(userId);
+
+    const books = Array.from(appData.books.values())
+        .filter(book => book.userId === userId && matchesBookFilters(book, period))
+        .map(book => {
+            const bookTotals = totals.get(bookAsin(book)) || emptyBookTotals();
+            const bookAdTotals = adTotals.get(bookAsin(book)) || emptyBookAdTotals();
+            return {
+                ...book,
+                ...bookTotals,
+                ...bookAdTotals,
+                workId: works.get(bookAsin(book))?.workId || null,
+                adMetrics: bookAdMetrics({ ...bookTotals, ...bookAdTotals })
+            };
+        });
+
+    return { books, rows };
+}
+
+// SESSIONS
+// Every sign-in opens a session on the user record. Clients get a short-lived
+// JWT access token (sent as "Authorization: Bearer ...") and an opaque refresh
+// token; only the refresh token's hash is stored and it changes on every refresh.
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const jwtSecret = process.env.JWT_SECRET || (() => {
+    console.warn('⚠️ JWT_SECRET is not set: access tokens will stop working after a restart');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function activeSessions(user) {
+    const now = Date.now();
+    return (user.sessions || []).filter(session => Date.parse(session.expiresAt) > now);
+}
+
+// Rotate the session's refresh token and mint a new access token for it
+function issueSessionTokens(user, session) {
+    const refreshToken = generateSessionToken();
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.lastUsedAt = new Date().toISOString();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+    const accessToken = jwt.sign({ sid: session.sessionId }, jwtSecret, {
+        subject: user.userId,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    });
+
+    return {
+        userId: user.userId,
+        sessionId: session.sessionId,
+        accessToken,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+}
+
+// Open a new session for a sign-in; expired sessions are dropped at the same time
+function createSession(user, req) {
+    const session = {
+        sessionId: crypto.randomUUID(),
+        userAgent: (req.get('User-Agent') || 'Unknown device').slice(0, 200),
+        ip: req.ip,
+        createdAt: new Date().toISOString()
+    };
+
+    const tokens = issueSessionTokens(user, session);
+    user.sessions = [...activeSessions(user), session];
+    return tokens;
+}
+
+// Session details safe to show in the signed-in devices list
+function describeSession(session, currentSessionId) {
+    return {
+        sessionId: session.sessionId,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.sessionId === currentSessionId
+    };
+}
+
+// Resolve the Bearer access token of a request to its user and session
+function resolveSession(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return { error: 'Authentication required' };
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(token, jwtSecret);
+    } catch (error) {
+        return { error: error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid session' };
+    }
+
+    // A valid token is not enough: the session may have been signed out since
+    const user = appData.users.get(claims.sub);
+    const session = user && activeSessions(user).find(candidate => candidate.sessionId === claims.sid);
+    if (!session) {
+        return { error: 'Invalid session' };
+    }
+
+    return { user, session };
+}
+
+// Resolve the Bearer access token to req.user and req.session
+function requireSession(req, res, next) {
+    const { user, session, error } = resolveSession(req);
+    if (error) {
+        return res.status(401).json({
+            success: false,
+            error
+        });
+    }
+
+    req.user = user;
+    req.session = session;
+    next();
+}
+
+// Shared reference data (exchange and KENP rates) is only changed by the
+// accounts listed in ADMIN_EMAILS (comma separated)
+function isAdmin(user) {
+    return (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean)
+        .includes(String(user.email).toLowerCase());
+}
+
+// Runs after requireSession
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Only an administrator can change shared rates'
+        });
+    }
+    next();
+}
+
+// Account passwords are kept as salted scrypt hashes
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 32);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const received = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(received, expected);
+}
+
+// Merge fields into the stored user. Code that awaited since it read the user
+// writes through this, so changes saved in the meantime are kept.
+function updateUser(userId, fields) {
+    const user = appData.users.get(userId);
+    if (!user) return null;
+
+    const updated = { ...user, ...fields };
+    appData.users.set(userId, updated);
+    return updated;
+}
+
+// AUTHENTICATION ENDPOINTS
+
+// Enhanced setup with Amazon Ads integration
+app.post('/api/setup', async (req, res) => {
+    try {
+        const { email, password, mfaCode, amazonAdsCredentials } = req.body;
+        
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email and password are required'
+            });
+        }
+        
+        const userId = crypto.createHash('sha256').update(email).digest('hex').substring(0, 16);
+        
+        // An existing account is only set up again by its own session or its password,
+        // never by knowing the email alone. Accounts created before passwords were
+        // stored have no hash yet: their first successful setup sets it.
+        const mayReplace = user => !user?.passwordHash
+            || resolveSession(req).user?.userId === userId
+            || verifyPassword(password, user.passwordHash);
+        const accountExists = () => res.status(401).json({
+            success: false,
+            error: 'An account already exists for this email: sign in with its password'
+        });
+        if (!mayReplace(appData.users.get(userId))) {
+            return accountExists();
+        }
+        
+        // Authenticate with Amazon KDP
+        const kdpAuthResult = await authenticateKDP(email, password, mfaCode);
+        
+        if (!kdpAuthResult.success) {
+            return res.status(401).json({
+                success: false,
+                error: kdpAuthResult.error || 'KDP Authentication failed'
+            });
+        }
+        
+        // Setup Amazon Ads if credentials provided
+        let adsAuthResult = { success: true, credentials: null };
+        if (amazonAdsCredentials) {
+            adsAuthResult = await authenticateAmazonAds(amazonAdsCredentials);
+        }
+        
+        // Create user profile, keeping the sessions and settings of a returning user
+        // (read again, as they may have changed while authenticating)
+        const { sessionToken: legacySessionToken, ...existingProfile } = appData.users.get(userId) || {};
+        if (!mayReplace(existingProfile)) {
+            return accountExists();
+        }
+        const userProfile = {
+            ...existingProfile,
+            userId,
+            email,
+            passwordHash: hashPassword(password),
+            kdpCredentials: sealCredentials(kdpAuthResult.credentials),
+            adsCredentials: sealCredentials(adsAuthResult.credentials) || existingProfile.adsCredentials || null,
+            setupDate: existingProfile.setupDate || new Date().toISOString(),
+            lastSync: existingProfile.lastSync || null,
+            settings: existingProfile.settings || {
+                autoSync: true,
+                syncInterval: 10,
+                currency: 'EUR',
+                timezone: 'Europe/Rome'
+            }
+        };
+        
+        const tokens = createSession(userProfile, req);
+        appData.users.set(userId, userProfile);
+        
+        if (amazonAdsCredentials) {
+            recordAdsConnection(userId, adsAuthResult.success
+                ? { tokenExpiry: adsAuthResult.credentials.tokenExpiry }
+                : { error: adsAuthResult.error, reconnect: true });
+        }
+        
+        // Perform initial sync
+        const syncResult = await performFullSync(userId);
+        
+        // Save to disk
+        await saveDataToDisk();
+        
+        logSyncActivity('SETUP', `New user setup completed: ${email}`, userId);
+        
+        res.json({
+            success: true,
+            message: 'Setup completed successfully',
+            data: {
+                ...tokens,
+                booksFound: syncResult.books?.length || 0,
+                adsFound: syncResult.ads?.length || 0,
+                totalRevenue: syncResult.totalRevenue || 0,
+                lastSync: new Date().toISOString()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Setup error:', error);
+        logSyncActivity('ERROR', 'Setup failed', null, error);
+        res.status(500).json({
+            success: false,
+            error: 'Setup failed: ' + error.message
+        });
+    }
+});
+
+// Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token is required'
+            });
+        }
+        
+        const refreshTokenHash = hashToken(refreshToken);
+        let match = null;
+        for (const user of appData.users.values()) {
+            const session = activeSessions(user).find(candidate => candidate.refreshTokenHash === refreshTokenHash);
+            if (session) {
+                match = { user, session };
+                break;
+            }
+        }
+        
+        if (!match) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session expired'
+            });
+        }
+        
+        const tokens = issueSessionTokens(match.user, match.session);
+        appData.users.set(match.user.userId, match.user);
+        
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            data: tokens
+        });
+        
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh session: ' + error.message
+        });
+    }
+});
+
+// Sign out the current session
+app.post('/api/auth/logout', requireSession, async (req, res) => {
+    try {
+        const { user, session } = req;
+        
+        user.sessions = activeSessions(user).filter(candidate => candidate.sessionId !== session.sessionId);
+        appData.users.set(user.userId, user);
+        
+        await saveDataToDisk();
+        
+        logSyncActivity('LOGOUT', 'Signed out', user.userId);
+        
+        res.json({
+            success: true,
+            message: 'Signed out'
+        });
+        
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sign out: ' + error.message
+        });
+    }
+});
+
+// Signed-in devices
+app.get('/api/auth/sessions', requireSession, (req, res) => {
+    res.json({
+        success: true,
+        sessions: activeSessions(req.user).map(session => describeSession(session, req.session.sessionId))
+    });
+});
+
+// Sign out another device
+app.delete('/api/auth/sessions/:sessionId', requireSession, async (req, res) => {
+    try {
+        const { user } = req;
+        const sessions = activeSessions(user);
+        
+        if (!sessions.some(session => session.sessionId === req.params.sessionId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+        
+        user.sessions = sessions.filter(session => session.sessionId !== req.params.sessionId);
+        appData.users.set(user.userId, user);
+        
+        await saveDataToDisk();
+        
+        logSyncActivity('SESSION_REVOKED', 'Signed out a device', user.userId);
+        
+        res.json({
+            success: true,
+            message: 'Device signed out'
+        });
+        
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sign out device: ' + error.message
+        });
+    }
+});
+
+// Update the signed-in user's settings. The base currency needs imported
+// exchange rates (EUR, the rates' reference currency, always works).
+app.patch('/api/settings', requireSession, async (req, res) => {
+    try {
+        const { user } = req;
+        const { currency } = req.body || {};
+        const settings = { ...user.settings };
+        
+        if (currency !== undefined) {
+            const code = String(currency).toUpperCase();
+            if (!/^[A-Z]{3}$/.test(code)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'currency must be a 3-letter ISO code'
+                });
+            }
+            if (code !== FX_REFERENCE_CURRENCY && !getFxRateIndex().has(code)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `No exchange rates for ${code}: import them first`
+                });
+            }
+            settings.currency = code;
+        }
+        
+        appData.users.set(user.userId, { ...user, settings });
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            settings
+        });
+        
+    } catch (error) {
+        console.error('Settings update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update settings'
+        });
+    }
+});
+
+// Get user data
+app.get('/api/data', requireSession, async (req, res) => {
+    try {
+        const { user } = req;
+        const { userId } = user;
+        
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        // Get user's books and ad campaigns with period totals
+        const { books: userBooks, rows } = getBooksWithTotals(userId, period);
+        const { campaigns: userAds, rows: adRows } = getAdCampaignsWithTotals(userId, period);
+        const ledgerTotals = summarizeLedgerRows(rows);
+        // Editions are in `books`; works list the ASINs they combine
+        const works = rollUpBookTotals(userId, userBooks).map(({ editions, ...work }) => work);
+        // Every book and author of the catalog, whatever the filters: the dashboard
+        // tells an empty account from an empty filter, and offers the author filter
+        const catalogBooks = Array.from(appData.books.values()).filter(book => book.userId === userId);
+        const authors = Array.from(new Set(catalogBooks
+            .map(book => String(book.author || '').trim())
+            .filter(Boolean)))
+            .sort();
+        
+        // Calculate totals
+        const totalRevenue = ledgerTotals.totalRoyalties;
+        const totalSpending = totalAdSpend(userId, period, userBooks, userAds);
+        const netRevenue = totalRevenue - totalSpending;
+        
+        res.json({
+            success: true,
+            data: {
+                books: userBooks,
+                works,
+                ads: userAds,
+                authors,
+                period,
+                summary: {
+                    totalRevenue,
+                    totalSpending,
+                    netRevenue,
+                    totalSales: ledgerTotals.units,
+                    totalFreeUnits: ledgerTotals.freeUnits,
+                    totalReads: ledgerTotals.kenpPages,
+                    estimatedKenpRoyalties: ledgerTotals.estimatedKenpRoyalties,
+                    totalBooks: userBooks.length,
+                    catalogBooks: catalogBooks.length,
+                    totalWorks: works.length,
                     totalCampaigns: userAds.length,
+                    currency: userBaseCurrency(userId),
+                    missingExchangeRates: missingFxCurrencies([...rows, ...adRows]),
                     lastSync: user.lastSync
                 },
                 isSetup: true
@@ -274,421 +1865,5282 @@ app.get('/api/data', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Data retrieval error:', error);
+        console.error('Data retrieval error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve data: ' + error.message
+        });
+    }
+});
+
+// Force manual sync
+app.post('/api/sync', requireSession, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        
+        const result = await performFullSync(userId);
+        
+        // Update user last sync
+        updateUser(userId, { lastSync: new Date().toISOString() });
+        
+        await saveDataToDisk();
+        
+        logSyncActivity('MANUAL_SYNC', 'Manual sync completed', userId);
+        
+        res.json({
+            success: true,
+            data: result,
+            message: `Sync completed. Found ${result.books?.length || 0} books, ${result.ads?.length || 0} ad campaigns.`
+        });
+        
+    } catch (error) {
+        console.error('Manual sync error:', error);
+        logSyncActivity('ERROR', 'Manual sync failed', req.user.userId, error);
+        res.status(500).json({
+            success: false,
+            error: 'Sync failed: ' + error.message
+        });
+    }
+});
+
+// EXTENSION DATA ENDPOINT
+
+// Extension uploads are signed with a per-user key: the key id identifies the
+// account and the signing secret is derived from it with EXTENSION_SECRET, so
+// only the key id is ever stored.
+const EXTENSION_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+const extensionNonces = new Map();
+
+function deriveExtensionSecret(keyId) {
+    return crypto.createHmac('sha256', process.env.EXTENSION_SECRET).update(keyId).digest('hex');
+}
+
+function signExtensionPayload(secret, timestamp, nonce, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.`).update(body).digest('hex');
+}
+
+// Remember a nonce until its timestamp falls out of the accepted window;
+// returns false when it has already been used
+function claimExtensionNonce(keyId, nonce, now) {
+    for (const [seen, expiresAt] of extensionNonces) {
+        if (expiresAt <= now) extensionNonces.delete(seen);
+    }
+
+    const id = `${keyId}:${nonce}`;
+    if (extensionNonces.has(id)) return false;
+
+    extensionNonces.set(id, now + 2 * EXTENSION_SIGNATURE_MAX_AGE_MS);
+    return true;
+}
+
+function verifyExtensionSignature(req, res, next) {
+    const reject = (status, error) => res.status(status).json({ success: false, error });
+
+    if (process.env.ALLOW_EXTENSION_COMMUNICATION === 'false') {
+        return reject(403, 'Extension uploads are disabled');
+    }
+    if (!process.env.EXTENSION_SECRET) {
+        return reject(503, 'Extension uploads are not configured (EXTENSION_SECRET is missing)');
+    }
+
+    const keyId = req.get('X-KDP-Key-Id');
+    const timestamp = req.get('X-KDP-Timestamp');
+    const nonce = req.get('X-KDP-Nonce');
+    const signature = req.get('X-KDP-Signature');
+
+    if (!keyId || !timestamp || !nonce || !signature) {
+        return reject(401, 'Unsigned extension request');
+    }
+    if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+        return reject(401, 'Invalid nonce');
+    }
+
+    const user = Array.from(appData.users.values()).find(candidate => candidate.extensionKey?.keyId === keyId);
+    if (!user) {
+        return reject(401, 'Unknown extension key');
+    }
+
+    const now = Date.now();
+    if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > EXTENSION_SIGNATURE_MAX_AGE_MS) {
+        return reject(401, 'Request timestamp is outside the accepted window');
+    }
+
+    const expected = Buffer.from(signExtensionPayload(deriveExtensionSecret(keyId), timestamp, nonce, req.rawBody || ''), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return reject(401, 'Invalid signature');
+    }
+
+    if (!claimExtensionNonce(keyId, nonce, now)) {
+        return reject(401, 'Nonce already used');
+    }
+
+    req.extensionUser = user;
+    next();
+}
+
+// Issue (or rotate) the extension key for a user; the previous key stops working
+app.post('/api/extension/key', requireSession, async (req, res) => {
+    try {
+        const { user } = req;
+        const { userId } = user;
+        
+        if (!process.env.EXTENSION_SECRET) {
+            return res.status(503).json({
+                success: false,
+                error: 'Extension uploads are not configured (EXTENSION_SECRET is missing)'
+            });
+        }
+        
+        const keyId = `kdpx_${crypto.randomBytes(12).toString('hex')}`;
+        user.extensionKey = { keyId, createdAt: new Date().toISOString() };
+        appData.users.set(userId, user);
+        
+        await saveDataToDisk();
+        
+        logSyncActivity('EXTENSION_KEY', 'Extension key issued', userId);
+        
+        res.json({
+            success: true,
+            data: {
+                keyId,
+                secret: deriveExtensionSecret(keyId),
+                createdAt: user.extensionKey.createdAt
+            }
+        });
+        
+    } catch (error) {
+        console.error('Extension key error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue extension key: ' + error.message
+        });
+    }
+});
+app.post('/api/extension/data', verifyExtensionSignature, async (req, res) => {
+    try {
+        const { data } = req.body;
+        const { userId } = req.extensionUser;
+        
+        if (!data) {
+            return res.status(400).json({
+                success: false,
+                error: 'No data provided'
+            });
+        }
+        
+        const ledgerResult = { inserted: 0, updated: 0 };
+        
+        // Process extension data
+        if (data.books && Array.isArray(data.books)) {
+            data.books.forEach(book => {
+                const bookId = book.asin || book.id || crypto.randomUUID();
+                
+                const existing = findUserBook(userId, bookId)?.[1];
+                
+                const record = {
+                    ...existing,
+                    ...book,
+                    userId,
+                    lastUpdated: new Date().toISOString(),
+                    source: 'extension'
+                };
+                
+                // A book with a report date holds that day's sales; otherwise it is a
+                // running total for a period and only its growth is booked
+                const reportDate = book.date || book.saleDate ? toLedgerDate(book.date || book.saleDate) : null;
+                const date = reportDate || toLedgerDate(data.metadata?.extractedAt);
+                let rows = date
+                    ? ledgerRowsFromBook({ ...book, asin: bookId }, { userId, date, source: 'extension' })
+                    : [];
+                if (date && !reportDate) {
+                    const period = String(book.period || data.metadata?.period || date.substring(0, 7));
+                    const snapshot = ledgerRowsFromSnapshot(record, rows, { period, date });
+                    rows = snapshot.rows;
+                    record.ledgerSnapshots = snapshot.snapshots;
+                }
+                saveUserBook(userId, bookId, record);
+                
+                const result = recordLedgerRows(rows);
+                ledgerResult.inserted += result.inserted;
+                ledgerResult.updated += result.updated;
+            });
+        }
+        
+        const alerts = evaluateAlerts(userId);
+        await saveDataToDisk();
+        
+        logSyncActivity('EXTENSION_SYNC', `Extension data received: ${data.books?.length || 0} books, ${ledgerResult.inserted} new ledger rows`, userId);
+        
+        res.json({
+            success: true,
+            message: 'Data received and processed',
+            processed: {
+                books: data.books?.length || 0,
+                ledgerRows: ledgerResult,
+                newAlerts: alerts.length,
+                timestamp: new Date().toISOString()
+            }
+        });
+        
+    } catch (error) {
+        console.error('Extension data error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process extension data: ' + error.message
+        });
+    }
+});
+
+// REPORT FILE IMPORT
+
+const reportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024, files: 10 }
+});
+
+// Run multer inside the route so upload errors get our JSON error format
+function receiveReportFiles(req, res) {
+    return new Promise((resolve, reject) => {
+        reportUpload.array('files', 10)(req, res, error => (error ? reject(error) : resolve(req.files || [])));
+    });
+}
+
+// Reduce an ExcelJS cell value (rich text, formula, hyperlink...) to a plain value
+function plainCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.result !== undefined) return plainCellValue(value.result);
+        if (value.text !== undefined) return plainCellValue(value.text);
+        return '';
+    }
+    return value;
+}
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+}
+
+// Read an uploaded CSV or XLSX file into sheets of { line, values } rows keyed
+// by normalized header. CSV files become a single sheet named after the file.
+async function readReportFile(file) {
+    const fileName = file.originalname || 'upload';
+
+    if (/\.csv$/i.test(fileName) || file.mimetype === 'text/csv') {
+        const rows = await new Promise((resolve, reject) => {
+            const parsed = [];
+            Readable.from(file.buffer)
+                .pipe(csvParser({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+                .on('data', values => parsed.push({ line: parsed.length + 2, values }))
+                .on('end', () => resolve(parsed))
+                .on('error', reject);
+        });
+        return [{ name: fileName.replace(/\.csv$/i, ''), rows }];
+    }
+
+    if (/\.xlsx$/i.test(fileName)) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(file.buffer);
+
+        return workbook.worksheets.map(worksheet => {
+            const rows = [];
+            let headers = null;
+
+            worksheet.eachRow((row, rowNumber) => {
+                const cells = row.values.slice(1).map(plainCellValue);
+
+                // Reports may start with title lines: the header is the first row naming a title or ASIN
+                if (!headers) {
+                    const candidate = cells.map(normalizeHeader);
+                    if (candidate.some(header => ['title', 'asin', 'campaign name', 'campaign'].includes(header))) {
+                        headers = candidate;
+                    }
+                    return;
+                }
+
+                const values = {};
+                headers.forEach((header, index) => {
+                    if (header) values[header] = cells[index] ?? '';
+                });
+                rows.push({ line: rowNumber, values });
+            });
+
+            return { name: worksheet.name, rows };
+        });
+    }
+
+    throw new Error(`Unsupported file type for ${fileName} (expected .csv or .xlsx)`);
+}
+
+// First non-empty value among the candidate headers. A RegExp candidate
+// matches any header, for columns whose exact wording varies between exports.
+function pickColumn(values, candidates) {
+    for (const candidate of candidates) {
+        const header = candidate instanceof RegExp
+            ? Object.keys(values).find(name => candidate.test(name))
+            : candidate;
+        if (header && values[header] !== undefined && values[header] !== '') return values[header];
+    }
+    return '';
+}
+
+function parseReportNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value || '').replace(/[^\d.,-]/g, '');
+    if (!text) return 0;
+    // "1.234,56" (EU) vs "1,234.56" (US)
+    const normalized = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+    return parseFloat(normalized) || 0;
+}
+
+function isBlankReportRow(values) {
+    return Object.values(values).every(value => value === '' || value === null || value === undefined);
+}
+
+// Parse a report date into a ledger date. Monthly report columns ("Royalty
+// Date") always produce month rows dated on the 1st.
+function parseReportDate(value, monthly) {
+    let date = null;
+
+    if (value instanceof Date) {
+        date = isNaN(value.getTime()) ? null : value.toISOString().substring(0, 10);
+    } else {
+        const text = String(value || '').trim();
+        const isoMatch = text.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+        if (isoMatch) {
+            date = `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3] || '01'}`;
+            monthly = monthly || !isoMatch[3];
+        } else if (text) {
+            const parsed = new Date(text);
+            if (!isNaN(parsed.getTime())) {
+                date = [
+                    parsed.getFullYear(),
+                    String(parsed.getMonth() + 1).padStart(2, '0'),
+                    String(parsed.getDate()).padStart(2, '0')
+                ].join('-');
+            }
+        }
+    }
+
+    if (!date || toLedgerDate(date) !== date) return null;
+    return monthly
+        ? { date: `${date.substring(0, 7)}-01`, granularity: 'month' }
+        : { date, granularity: 'day' };
+}
+
+const MARKETPLACE_DOMAINS = {
+    'amazon.com.au': 'AU',
+    'amazon.com.br': 'BR',
+    'amazon.com.mx': 'MX',
+    'amazon.co.uk': 'UK',
+    'amazon.co.jp': 'JP',
+    'amazon.com': 'US',
+    'amazon.de': 'DE',
+    'amazon.fr': 'FR',
+    'amazon.it': 'IT',
+    'amazon.es': 'ES',
+    'amazon.nl': 'NL',
+    'amazon.ca': 'CA',
+    'amazon.in': 'IN',
+    'amazon.pl': 'PL',
+    'amazon.se': 'SE'
+};
+
+// "Amazon.co.uk", "amazon.com", "UK", "GB" -> marketplace code (null if unknown)
+function marketplaceFromLabel(label) {
+    const text = String(label || '').trim().toLowerCase().replace(/^www\./, '');
+    if (!text) return null;
+
+    const domain = Object.keys(MARKETPLACE_DOMAINS).find(name => text.startsWith(name));
+    if (domain) return MARKETPLACE_DOMAINS[domain];
+
+    const code = text.toUpperCase() === 'GB' ? 'UK' : text.toUpperCase();
+    return MARKETPLACE_CURRENCIES[code] ? code : null;
+}
+
+// KDP REPORT IMPORT
+// Parses "Prior Months' Royalties" and "Orders/KENP" exports (every sheet)
+// into ledger rows. Sheets are recognized by name first, then by headers.
+
+const KDP_REPORT_COLUMNS = {
+    monthlyDate: ['royalty date'],
+    dailyDate: ['date', 'order date', 'sale date'],
+    title: ['title'],
+    author: ['author name', 'author'],
+    asin: ['asin'],
+    isbn: ['isbn'],
+    marketplace: ['marketplace', 'store'],
+    transactionType: ['transaction type'],
+    units: ['net units sold', 'paid orders', 'units sold', 'net units', 'orders'],
+    freeUnits: ['free orders', 'free units'],
+    kenpPages: [/kenp|normalized page/],
+    royalty: ['royalty', 'royalties'],
+    currency: ['currency']
+};
+
+// Work out what a sheet contains; null means "skip the whole sheet"
+function detectKdpSheet(name, headers) {
+    const sheetName = normalizeHeader(name);
+    if (/summary|total earnings|combined|overview/.test(sheetName)) return null;
+
+    const hasKenp = headers.some(header => header.includes('kenp') || header.includes('normalized page'));
+    if (hasKenp || sheetName.includes('kenp')) return { kind: 'kenp', format: 'ebook' };
+    if (!headers.includes('asin')) return null;
+    if (sheetName.includes('paperback')) return { kind: 'sales', format: 'paperback' };
+    if (sheetName.includes('hardcover')) return { kind: 'sales', format: 'hardcover' };
+    if (sheetName.includes('free')) return { kind: 'free', format: 'ebook' };
+    if (headers.includes('isbn') && headers.some(header => header.includes('manufacturing'))) {
+        return { kind: 'sales', format: 'paperback' };
+    }
+    return { kind: 'sales', format: 'ebook' };
+}
+
+// Normalize one KDP sheet into ledger metrics; lines that cannot be used are reported
+function normalizeKdpSheet(sheet) {
+    const result = { entries: [], skipped: [], duplicates: 0 };
+    const headers = Object.keys(sheet.rows[0]?.values || {});
+    const detected = detectKdpSheet(sheet.name, headers);
+
+    if (!detected) {
+        return { ...result, ignored: true };
+    }
+
+    const monthly = headers.some(header => KDP_REPORT_COLUMNS.monthlyDate.includes(header));
+    const seenLines = new Set();
+
+    sheet.rows.forEach(({ line, values }) => {
+        if (isBlankReportRow(values)) return;
+
+        const skip = reason => result.skipped.push({ sheet: sheet.name, line, reason });
+
+        const signature = JSON.stringify(values);
+        if (seenLines.has(signature)) {
+            result.duplicates++;
+            return skip('Duplicate line');
+        }
+        seenLines.add(signature);
+
+        const asin = String(pickColumn(values, KDP_REPORT_COLUMNS.asin)).trim().toUpperCase();
+        if (!/^[A-Z0-9]{10}$/.test(asin)) return skip('Missing or invalid ASIN');
+
+        const period = parseReportDate(
+            pickColumn(values, monthly ? KDP_REPORT_COLUMNS.monthlyDate : KDP_REPORT_COLUMNS.dailyDate),
+            monthly
+        );
+        if (!period) return skip('Missing or invalid date');
+
+        const marketplaceLabel = pickColumn(values, KDP_REPORT_COLUMNS.marketplace);
+        const marketplace = marketplaceFromLabel(marketplaceLabel);
+        if (!marketplace) return skip(`Unknown marketplace "${marketplaceLabel}"`);
+
+        const metrics = {};
+        if (detected.kind === 'kenp') {
+            metrics.kenpPages = parseReportNumber(pickColumn(values, KDP_REPORT_COLUMNS.kenpPages));
+            const royalty = pickColumn(values, KDP_REPORT_COLUMNS.royalty);
+            if (royalty !== '') metrics.kenpRoyalties = parseReportNumber(royalty);
+        } else if (detected.kind === 'free') {
+            metrics.freeUnits = parseReportNumber(pickColumn(values, [...KDP_REPORT_COLUMNS.freeUnits, ...KDP_REPORT_COLUMNS.units]));
+        } else {
+            const units = parseReportNumber(pickColumn(values, KDP_REPORT_COLUMNS.units));
+            const transactionType = String(pickColumn(values, KDP_REPORT_COLUMNS.transactionType)).toLowerCase();
+            if (transactionType.includes('free')) {
+                metrics.freeUnits = units;
+            } else {
+                metrics.units = units;
+            }
+            const royalty = pickColumn(values, KDP_REPORT_COLUMNS.royalty);
+            if (royalty !== '') metrics.royalties = parseReportNumber(royalty);
+        }
+
+        result.entries.push({
+            asin,
+            marketplace,
+            format: detected.format,
+            ...period,
+            currency: String(pickColumn(values, KDP_REPORT_COLUMNS.currency)).trim().toUpperCase() || undefined,
+            title: String(pickColumn(values, KDP_REPORT_COLUMNS.title)).trim(),
+            author: String(pickColumn(values, KDP_REPORT_COLUMNS.author)).trim(),
+            isbn: String(pickColumn(values, KDP_REPORT_COLUMNS.isbn)).trim(),
+            metrics
+        });
+    });
+
+    return { ...result, kind: detected.kind, format: detected.format };
+}
+
+// Import parsed KDP report files for a user. Lines for the same ledger row
+// (e.g. several royalty types or transaction types) are summed; metrics a
+// file does not cover keep their current ledger value.
+function importKdpReportSheets(userId, files) {
+    const report = {
+        files: [],
+        ledgerRows: { inserted: 0, updated: 0, duplicates: 0 },
+        duplicateLines: 0,
+        skipped: []
+    };
+    const aggregated = new Map();
+    const catalog = new Map();
+
+    files.forEach(({ fileName, sheets }) => {
+        const fileReport = { fileName, sheets: [] };
+
+        sheets.forEach(sheet => {
+            const normalized = normalizeKdpSheet(sheet);
+            fileReport.sheets.push({
+                name: sheet.name,
+                kind: normalized.ignored ? 'ignored' : normalized.kind,
+                format: normalized.format || null,
+                rows: normalized.entries.length,
+                skipped: normalized.skipped.length
+            });
+            report.duplicateLines += normalized.duplicates;
+            report.skipped.push(...normalized.skipped.map(line => ({ file: fileName, ...line })));
+
+            normalized.entries.forEach(entry => {
+                const row = createLedgerRow({ userId, ...entry, source: 'kdp_report' });
+                const key = ledgerKey(row);
+                const target = aggregated.get(key) || { row, covered: new Set() };
+
+                Object.entries(entry.metrics).forEach(([metric, value]) => {
+                    target.row[metric] = (target.covered.has(metric) ? target.row[metric] : 0) + value;
+                    target.covered.add(metric);
+                });
+                aggregated.set(key, target);
+
+                if (!catalog.has(entry.asin)) {
+                    catalog.set(entry.asin, entry);
+                }
+            });
+        });
+
+        report.files.push(fileReport);
+    });
+
+    const changedRows = [];
+    aggregated.forEach(({ row, covered }, key) => {
+        const existing = appData.ledger.get(key);
+        if (existing) {
+            LEDGER_METRICS.filter(metric => !covered.has(metric)).forEach(metric => {
+                row[metric] = existing[metric];
+            });
+            if (LEDGER_METRICS.every(metric => existing[metric] === row[metric])) {
+                report.ledgerRows.duplicates++;
+                return;
+            }
+        }
+        changedRows.push(row);
+    });
+
+    const recorded = recordLedgerRows(changedRows);
+    report.ledgerRows.inserted = recorded.inserted;
+    report.ledgerRows.updated = recorded.updated;
+
+    // Make sure every imported ASIN has a catalog entry
+    catalog.forEach((entry, asin) => {
+        const existing = findUserBook(userId, asin)?.[1];
+
+        saveUserBook(userId, asin, {
+            id: asin,
+            asin,
+            format: { ebook: 'Ebook', paperback: 'Paperback', hardcover: 'Hardcover' }[entry.format],
+            source: 'kdp_report',
+            ...existing,
+            title: existing?.title || entry.title,
+            author: existing?.author || entry.author,
+            isbn: existing?.isbn || entry.isbn || undefined,
+            userId,
+            lastUpdated: new Date().toISOString()
+        });
+    });
+
+    return report;
+}
+
+// Upload KDP report exports (multipart field "files", .csv or .xlsx)
+app.post('/api/import/kdp', requireSession, async (req, res) => {
+    try {
+        const files = await receiveReportFiles(req, res);
+        const { userId } = req.user;
+        
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No report files uploaded'
+            });
+        }
+        
+        const parsedFiles = [];
+        for (const file of files) {
+            try {
+                parsedFiles.push({ fileName: file.originalname, sheets: await readReportFile(file) });
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Could not read ${file.originalname}: ${parseError.message}`
+                });
+            }
+        }
+        
+        const report = importKdpReportSheets(userId, parsedFiles);
+        const alerts = evaluateAlerts(userId);
+        
+        await saveDataToDisk();
+        
+        logSyncActivity('KDP_IMPORT', `KDP reports imported: ${report.ledgerRows.inserted} new, ${report.ledgerRows.updated} updated, ${report.skipped.length} skipped lines`, userId);
+        
+        res.json({
+            success: true,
+            message: 'Reports imported',
+            data: {
+                ...report,
+                skippedCount: report.skipped.length,
+                skipped: report.skipped.slice(0, 200),
+                newAlerts: alerts.length
+            }
+        });
+        
+    } catch (error) {
+        console.error('KDP import error:', error);
+        res.status(error instanceof multer.MulterError ? 400 : 500).json({
+            success: false,
+            error: 'Import failed: ' + error.message
+        });
+    }
+});
+
+// EXCHANGE RATE IMPORT
+// Accepts the ECB reference rate CSVs: the wide "Date,USD,JPY,..." layout of
+// eurofxref(-hist).csv and the long SDMX layout (TIME_PERIOD, CURRENCY, OBS_VALUE).
+
+function parseFxRate(value) {
+    const rate = parseFloat(String(value).trim());
+    return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+// Turn parsed rate sheets into { date, currency, rate } entries (N/A cells are skipped)
+function fxRatesFromSheets(sheets) {
+    const rates = [];
+    let skipped = 0;
+
+    sheets.forEach(sheet => sheet.rows.forEach(({ values }) => {
+        const date = String(values.date || values['time period'] || '').trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || toLedgerDate(date) !== date) {
+            skipped++;
+            return;
+        }
+
+        if (values.currency !== undefined) {
+            const currency = String(values.currency).trim().toUpperCase();
+            const rate = parseFxRate(values['obs value'] ?? values.rate);
+            if (/^[A-Z]{3}$/.test(currency) && rate) {
+                rates.push({ date, currency, rate });
+            } else {
+                skipped++;
+            }
+            return;
+        }
+
+        Object.entries(values).forEach(([header, value]) => {
+            if (!/^[a-z]{3}$/.test(header)) return;
+            const rate = parseFxRate(value);
+            if (rate) rates.push({ date, currency: header.toUpperCase(), rate });
+        });
+    }));
+
+    return { rates, skipped };
+}
+
+function storeFxRates(rates, source) {
+    const result = { inserted: 0, updated: 0, unchanged: 0 };
+
+    rates.forEach(({ date, currency, rate }) => {
+        if (currency === FX_REFERENCE_CURRENCY) return;
+
+        const key = fxRateKey({ date, currency });
+        const existing = appData.fxRates.get(key);
+        if (existing && existing.rate === rate) {
+            result.unchanged++;
+            return;
+        }
+        result[existing ? 'updated' : 'inserted']++;
+        appData.fxRates.set(key, { date, currency, rate, source, updatedAt: new Date().toISOString() });
+    });
+
+    fxRateIndex = null;
+    return result;
+}
+
+// Upload ECB-style exchange rate CSVs (multipart field "files"). Rates are
+// shared by all users, so only an administrator imports them.
+app.post('/api/fx/import', requireSession, requireAdmin, async (req, res) => {
+    try {
+        const files = await receiveReportFiles(req, res);
+        
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No rate files uploaded'
+            });
+        }
+        
+        const sheets = [];
+        for (const file of files) {
+            try {
+                sheets.push(...await readReportFile(file));
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Could not read ${file.originalname}: ${parseError.message}`
+                });
+            }
+        }
+        
+        const { rates, skipped } = fxRatesFromSheets(sheets);
+        if (rates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No exchange rates found (expected a Date column and one column per currency)'
+            });
+        }
+        
+        const stored = storeFxRates(rates, 'ecb_csv');
+        const dates = rates.map(rate => rate.date).sort();
+        
+        await saveDataToDisk();
+        
+        logSyncActivity('FX_IMPORT', `Exchange rates imported: ${stored.inserted} new, ${stored.updated} updated`, req.user.userId);
+        
+        res.json({
+            success: true,
+            message: 'Exchange rates imported',
+            data: {
+                rates: stored,
+                currencies: Array.from(new Set(rates.map(rate => rate.currency))).sort(),
+                startDate: dates[0],
+                endDate: dates[dates.length - 1],
+                skippedLines: skipped
+            }
+        });
+        
+    } catch (error) {
+        console.error('FX import error:', error);
+        res.status(error instanceof multer.MulterError ? 400 : 500).json({
+            success: false,
+            error: 'Import failed: ' + error.message
+        });
+    }
+});
+
+// Imported rate coverage per currency, or one currency's rates for a period
+app.get('/api/fx/rates', requireSession, (req, res) => {
+    const period = resolvePeriod(req.query);
+    if (period.error) {
+        return res.status(400).json({
+            success: false,
+            error: period.error
+        });
+    }
+    
+    const currency = req.query.currency ? String(req.query.currency).toUpperCase() : null;
+    const index = getFxRateIndex();
+    
+    if (currency) {
+        const series = index.get(currency) || { dates: [], rates: [] };
+        return res.json({
+            success: true,
+            data: {
+                currency,
+                referenceCurrency: FX_REFERENCE_CURRENCY,
+                rates: series.dates
+                    .map((date, position) => ({ date, rate: series.rates[position] }))
+                    .filter(({ date }) => (!period.startDate || date >= period.startDate) && (!period.endDate || date <= period.endDate))
+            }
+        });
+    }
+    
+    res.json({
+        success: true,
+        data: {
+            referenceCurrency: FX_REFERENCE_CURRENCY,
+            baseCurrency: userBaseCurrency(req.user.userId),
+            currencies: Array.from(index.entries())
+                .map(([code, series]) => ({
+                    currency: code,
+                    startDate: series.dates[0],
+                    endDate: series.dates[series.dates.length - 1],
+                    days: series.dates.length,
+                    latestRate: series.rates[series.rates.length - 1]
+                }))
+                .sort((a, b) => a.currency.localeCompare(b.currency))
+        }
+    });
+});
+
+// KENP RATE ENDPOINTS
+
+// KENP rates with their history, newest month first
+app.get('/api/kenp-rates', requireSession, (req, res) => {
+    const marketplace = req.query.marketplace ? String(req.query.marketplace).toUpperCase() : null;
+    
+    res.json({
+        success: true,
+        data: {
+            statuses: KENP_RATE_STATUSES,
+            marketplaces: Object.keys(MARKETPLACE_CURRENCIES),
+            rates: Array.from(appData.kenpRates.values())
+                .filter(entry => !marketplace || entry.marketplace === marketplace)
+                .sort((a, b) => b.month.localeCompare(a.month) || a.marketplace.localeCompare(b.marketplace))
+        }
+    });
+});
+
+// Enter or correct the rate of a month and marketplace (YYYY-MM, e.g. US); rates
+// are shared by all users, so only an administrator changes them
+app.put('/api/kenp-rates/:month/:marketplace', requireSession, requireAdmin, async (req, res) => {
+    try {
+        const { month } = req.params;
+        const marketplace = req.params.marketplace.toUpperCase();
+        const rate = Number(req.body?.rate);
+        const status = req.body?.status || 'estimated';
+        
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json({
+                success: false,
+                error: 'month must be YYYY-MM'
+            });
+        }
+        if (!MARKETPLACE_CURRENCIES[marketplace]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown marketplace ${marketplace}`
+            });
+        }
+        if (!Number.isFinite(rate) || rate <= 0 || rate >= 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'rate must be the royalty per page, a positive number below 1'
+            });
+        }
+        if (!KENP_RATE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${KENP_RATE_STATUSES.join(', ')}`
+            });
+        }
+        
+        const entry = setKenpRate({ month, marketplace, rate, status }, req.user.userId);
+        await saveDataToDisk();
+        
+        logSyncActivity('KENP_RATE', `KENP rate ${month} ${marketplace} set to ${rate} ${entry.currency} (${status})`, req.user.userId);
+        
+        res.json({
+            success: true,
+            data: entry
+        });
+        
+    } catch (error) {
+        console.error('KENP rate error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save KENP rate: ' + error.message
+        });
+    }
+});
+
+// AMAZON ADS INTEGRATION
+
+// Exchange the refresh token for a new access token
+async function requestAdsAccessToken(credentials) {
+    const { clientId, clientSecret, refreshToken } = credentials;
+    
+    if (!clientId || !clientSecret || !refreshToken) {
+        throw new Error('Missing Amazon Ads credentials');
+    }
+    
+    const tokenResponse = await axios.post(AMAZON_ADS_CONFIG.tokenURL, {
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: clientId,
+        client_secret: clientSecret
+    }, {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        }
+    });
+    
+    if (!tokenResponse.data.access_token) {
+        throw new Error('Failed to obtain access token');
+    }
+    
+    return {
+        ...credentials,
+        accessToken: tokenResponse.data.access_token,
+        tokenExpiry: Date.now() + (tokenResponse.data.expires_in * 1000),
+        authenticatedAt: new Date().toISOString()
+    };
+}
+
+// Authenticate with Amazon Ads API
+async function authenticateAmazonAds(credentials) {
+    try {
+        return {
+            success: true,
+            credentials: await requestAdsAccessToken(credentials)
+        };
+        
+    } catch (error) {
+        // The error's request config would include the client secret
+        console.error('Amazon Ads authentication error:', describeAdsError(error));
+        return {
+            success: false,
+            error: describeAdsError(error)
+        };
+    }
+}
+
+// AMAZON ADS CLIENT
+// Every Ads API call of a sync goes through a per-user client. It refreshes the
+// access token shortly before it expires (saving the new one in the vault),
+// retries once with a fresh token on 401, and retries 429, 5xx and network
+// errors with exponential backoff, honoring Retry-After. Outcomes are recorded
+// in user.adsConnection for the dashboard.
+
+const ADS_TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const ADS_API_MAX_RETRIES = 4;
+const ADS_API_BACKOFF_BASE_MS = 1000;
+const ADS_API_BACKOFF_MAX_MS = 60 * 1000;
+// Longer Retry-After values are not waited for: the call fails instead
+const ADS_API_RETRY_AFTER_MAX_MS = 5 * 60 * 1000;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeAdsError(error) {
+    if (!error.response) return error.message;
+    const { status, data } = error.response;
+    const detail = data?.details || data?.detail || data?.message || data?.error_description || data?.code;
+    return `HTTP ${status}${detail ? `: ${detail}` : ''}`;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Failures that say something about the connection rather than the request
+function isConnectionFailure(status) {
+    return !status || status === 401 || status === 403 || status === 429 || status >= 500;
+}
+
+function recordAdsConnection(userId, { error = null, reconnect = false, tokenExpiry = null } = {}) {
+    const user = appData.users.get(userId);
+    if (!user) return;
+
+    const previous = user.adsConnection || {};
+    const now = new Date().toISOString();
+
+    user.adsConnection = error
+        ? {
+            ...previous,
+            status: reconnect ? 'error' : 'degraded',
+            lastErrorAt: now,
+            lastError: error,
+            consecutiveFailures: (previous.consecutiveFailures || 0) + 1
+        }
+        : {
+            ...previous,
+            status: 'connected',
+            lastSuccessAt: now,
+            consecutiveFailures: 0,
+            ...(tokenExpiry ? { tokenExpiresAt: new Date(tokenExpiry).toISOString() } : {})
+        };
+    appData.users.set(userId, user);
+}
+
+// Requests of one user that find the access token expired (the parallel report
+// requests, or a manual sync next to the scheduled one) share one refresh
+const adsTokenRefreshes = new Map();
+
+function createAmazonAdsClient(userId) {
+    let credentials = openCredentials(appData.users.get(userId)?.adsCredentials);
+    if (!credentials) {
+        throw new Error('Amazon Ads is not connected');
+    }
+
+    async function requestRefresh() {
+        let refreshed;
+        try {
+            refreshed = await requestAdsAccessToken(credentials);
+        } catch (error) {
+            // 400/401 from the token endpoint means the refresh token itself was rejected
+            const status = error.response?.status;
+            recordAdsConnection(userId, {
+                error: `Token refresh failed: ${describeAdsError(error)}`,
+                reconnect: status === 400 || status === 401
+            });
+            throw error;
+        }
+
+        updateUser(userId, { adsCredentials: sealCredentials(refreshed) });
+        recordAdsConnection(userId, { tokenExpiry: refreshed.tokenExpiry });
+        return refreshed;
+    }
+
+    async function refreshAccessToken() {
+        if (!adsTokenRefreshes.has(userId)) {
+            adsTokenRefreshes.set(userId, requestRefresh().finally(() => {
+                adsTokenRefreshes.delete(userId);
+            }));
+        }
+        credentials = await adsTokenRefreshes.get(userId);
+    }
+
+    async function ensureFreshToken() {
+        if (!credentials.accessToken || !(credentials.tokenExpiry - ADS_TOKEN_REFRESH_MARGIN_MS > Date.now())) {
+            await refreshAccessToken();
+        }
+    }
+
+    // axios request config plus `profileId` (scope header) and
+    // `authenticate: false` for pre-signed download URLs
+    async function request({ profileId = null, authenticate = true, headers = {}, ...config }) {
+        let retriedWithFreshToken = false;
+
+        for (let attempt = 0; ; attempt++) {
+            if (authenticate) await ensureFreshToken();
+
+            try {
+                const response = await axios({
+                    ...config,
+                    headers: authenticate ? { ...amazonAdsHeaders(credentials, profileId), ...headers } : headers
+                });
+                recordAdsConnection(userId);
+                return response;
+
+            } catch (error) {
+                const status = error.response?.status;
+
+                if (authenticate && status === 401 && !retriedWithFreshToken) {
+                    retriedWithFreshToken = true;
+                    await refreshAccessToken();
+                    continue;
+                }
+
+                const retryAfter = retryAfterMs(error.response?.headers?.['retry-after']);
+                const retryable = (!status || status === 429 || status >= 500)
+                    && attempt < ADS_API_MAX_RETRIES
+                    && !(retryAfter > ADS_API_RETRY_AFTER_MAX_MS);
+
+                if (!retryable) {
+                    if (isConnectionFailure(status)) {
+                        recordAdsConnection(userId, {
+                            error: describeAdsError(error),
+                            reconnect: status === 401 || status === 403
+                        });
+                    }
+                    throw error;
+                }
+
+                const backoff = Math.min(ADS_API_BACKOFF_BASE_MS * 2 ** attempt, ADS_API_BACKOFF_MAX_MS);
+                await wait(retryAfter ?? backoff * (0.5 + Math.random() / 2));
+            }
+        }
+    }
+
+    return { request };
+}
+
+// Amazon Ads connection health for the dashboard
+app.get('/api/ads/connection', requireSession, (req, res) => {
+    const { user } = req;
+    
+    res.json({
+        success: true,
+        // A failed setup leaves no credentials but does leave the error to show
+        data: user.adsCredentials || user.adsConnection
+            ? { status: 'unknown', ...user.adsConnection, reportsSyncedAt: user.adsReportsSyncedAt || null }
+            : { status: 'not_configured' }
+    });
+});
+
+// Headers for Ads API calls; the profile scope selects the advertiser account
+function amazonAdsHeaders(credentials, profileId = null) {
+    return {
+        'Authorization': `Bearer ${credentials.accessToken}`,
+        'Amazon-Advertising-API-ClientId': credentials.clientId,
+        ...(profileId ? { 'Amazon-Advertising-API-Scope': profileId } : {}),
+        'Content-Type': 'application/json'
+    };
+}
+
+async function fetchAmazonAdsProfiles(client) {
+    const profilesResponse = await client.request({
+        method: 'get',
+        url: AMAZON_ADS_CONFIG.baseURL + AMAZON_ADS_CONFIG.endpoints.profiles
+    });
+    return profilesResponse.data;
+}
+
+// Ads structure listed for every profile, parent entities first
+const ADS_STRUCTURE_ENDPOINTS = [
+    { entity: 'campaign', endpoint: 'campaigns', idField: 'campaignId' },
+    { entity: 'ad_group', endpoint: 'adGroups', idField: 'adGroupId' },
+    { entity: 'product_ad', endpoint: 'productAds', idField: 'adId' },
+    { entity: 'keyword', endpoint: 'keywords', idField: 'keywordId' },
+    { entity: 'target', endpoint: 'targets', idField: 'targetId' }
+];
+
+// Fetch Amazon Ads data: every campaign, ad group, product ad, keyword and
+// target, each tagged with its entity type, profile and marketplace
+async function fetchAmazonAdsData(client) {
+    try {
+        const profiles = await fetchAmazonAdsProfiles(client);
+        const adsData = [];
+        
+        for (const profile of profiles) {
+            for (const { entity, endpoint, idField } of ADS_STRUCTURE_ENDPOINTS) {
+                try {
+                    const response = await client.request({
+                        method: 'get',
+                        url: AMAZON_ADS_CONFIG.baseURL + AMAZON_ADS_CONFIG.endpoints[endpoint],
+                        profileId: profile.profileId
+                    });
+                    
+                    adsData.push(...response.data.map(record => ({
+                        ...record,
+                        entity,
+                        entityId: String(record[idField]),
+                        profileId: profile.profileId,
+                        marketplace: marketplaceFromLabel(profile.countryCode) || profile.countryCode
+                    })));
+                    
+                } catch (profileError) {
+                    console.log(`Error fetching ${endpoint} for profile ${profile.profileId}:`, profileError.message);
+                }
+            }
+        }
+        
+        return adsData;
+        
+    } catch (error) {
+        console.error('Error fetching Amazon Ads data:', error.message);
+        return [];
+    }
+}
+
+// ADS API REPORTS
+// Performance metrics come from the asynchronous reporting API: create a
+// report, poll it until it is ready, then download the gzipped JSON it points
+// to. Every report covers the lookback window with a daily time unit, and its
+// lines are stored in appData.ads like imported console reports.
+
+// Attributed orders and sales keep changing for 14 days after a click
+const ADS_REPORT_LOOKBACK_DAYS = 14;
+const ADS_REPORT_MIN_INTERVAL_MS = 3 * 60 * 60 * 1000;
+const ADS_REPORT_POLL_INITIAL_MS = 1000;
+const ADS_REPORT_POLL_MAX_MS = 30 * 1000;
+const ADS_REPORT_TIMEOUT_MS = 15 * 60 * 1000;
+
+const ADS_REPORT_METRIC_COLUMNS = ['impressions', 'clicks', 'cost', 'purchases14d', 'sales14d'];
+
+const ADS_API_REPORTS = [
+    {
+        level: 'campaign',
+        reportTypeId: 'spCampaigns',
+        groupBy: ['campaign'],
+        columns: ['date', 'campaignId', 'campaignName', ...ADS_REPORT_METRIC_COLUMNS, 'kindleEditionNormalizedPagesRead14d']
+    },
+    {
+        level: 'ad_group',
+        reportTypeId: 'spCampaigns',
+        groupBy: ['adGroup'],
+        columns: ['date', 'campaignId', 'campaignName', 'adGroupId', 'adGroupName', ...ADS_REPORT_METRIC_COLUMNS, 'kindleEditionNormalizedPagesRead14d']
+    },
+    {
+        level: 'advertised_product',
+        reportTypeId: 'spAdvertisedProduct',
+        groupBy: ['advertiser'],
+        columns: ['date', 'campaignId', 'campaignName', 'adGroupId', 'adGroupName', 'adId', 'advertisedAsin', ...ADS_REPORT_METRIC_COLUMNS, 'kindleEditionNormalizedPagesRead14d']
+    },
+    {
+        level: 'targeting',
+        reportTypeId: 'spTargeting',
+        groupBy: ['targeting'],
+        columns: ['date', 'campaignId', 'campaignName', 'adGroupId', 'adGroupName', 'keywordId', 'targeting', 'matchType', ...ADS_REPORT_METRIC_COLUMNS]
+    },
+    {
+        level: 'search_term',
+        reportTypeId: 'spSearchTerm',
+        groupBy: ['searchTerm'],
+        columns: ['date', 'campaignId', 'campaignName', 'adGroupId', 'adGroupName', 'keywordId', 'targeting', 'matchType', 'searchTerm', ...ADS_REPORT_METRIC_COLUMNS]
+    }
+];
+
+const gunzip = promisify(zlib.gunzip);
+
+async function createAdsReport(client, profileId, spec, startDate, endDate) {
+    try {
+        const response = await client.request({
+            method: 'post',
+            url: AMAZON_ADS_CONFIG.baseURL + AMAZON_ADS_CONFIG.endpoints.reporting,
+            profileId,
+            headers: {
+                'Content-Type': 'application/vnd.createasyncreportrequest.v3+json'
+            },
+            data: {
+                name: `${spec.level} ${startDate} - ${endDate}`,
+                startDate,
+                endDate,
+                configuration: {
+                    adProduct: 'SPONSORED_PRODUCTS',
+                    reportTypeId: spec.reportTypeId,
+                    groupBy: spec.groupBy,
+                    columns: spec.columns,
+                    timeUnit: 'DAILY',
+                    format: 'GZIP_JSON'
+                }
+            }
+        });
+        return response.data.reportId;
+        
+    } catch (error) {
+        // An identical report is still being generated: reuse it
+        const duplicateOf = error.response?.status === 425
+            && String(error.response.data?.detail || '').match(/duplicate of\s*:\s*(\S+)/i);
+        if (duplicateOf) return duplicateOf[1];
+        throw error;
+    }
+}
+
+// Poll with a growing delay until the report is ready; returns its download URL
+async function waitForAdsReport(client, profileId, reportId) {
+    const deadline = Date.now() + ADS_REPORT_TIMEOUT_MS;
+    let delay = ADS_REPORT_POLL_INITIAL_MS;
+    
+    for (;;) {
+        const { data } = await client.request({
+            method: 'get',
+            url: `${AMAZON_ADS_CONFIG.baseURL}${AMAZON_ADS_CONFIG.endpoints.reporting}/${reportId}`,
+            profileId
+        });
+        
+        if (data.status === 'COMPLETED') return data.url;
+        if (data.status === 'FAILED') {
+            throw new Error(`Report ${reportId} failed: ${data.failureReason || 'no reason given'}`);
+        }
+        if (Date.now() + delay > deadline) {
+            throw new Error(`Report ${reportId} was not ready after ${ADS_REPORT_TIMEOUT_MS / 60000} minutes`);
+        }
+        
+        await wait(delay);
+        delay = Math.min(delay * 2, ADS_REPORT_POLL_MAX_MS);
+    }
+}
+
+// The URL is pre-signed, so no Ads API headers are sent with the download
+async function downloadAdsReport(client, url) {
+    const response = await client.request({ method: 'get', url, responseType: 'arraybuffer', authenticate: false });
+    let body = Buffer.from(response.data);
+    
+    // Skip gunzip if the HTTP client already decoded a gzip content encoding
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+        body = await gunzip(body);
+    }
+    return JSON.parse(body.toString('utf8'));
+}
+
+// One report line -> performance entry, in the shape used by the file importer
+function adsApiReportEntry(record, spec, profile) {
+    const marketplace = marketplaceFromLabel(profile.countryCode);
+    const campaignId = String(record.campaignId);
+    const adGroupId = spec.level === 'campaign' ? null : String(record.adGroupId);
+    const detail = {
+        asin: String(record.advertisedAsin || '').toUpperCase(),
+        targetId: record.keywordId ? String(record.keywordId) : '',
+        targeting: record.targeting || '',
+        matchType: String(record.matchType || '').toLowerCase(),
+        searchTerm: record.searchTerm || ''
+    };
+    
+    return {
+        date: toLedgerDate(record.date),
+        level: spec.level,
+        marketplace,
+        currency: profile.currencyCode || MARKETPLACE_CURRENCIES[marketplace] || null,
+        profileId: String(profile.profileId),
+        campaignId,
+        campaignName: record.campaignName || null,
+        campaignKey: campaignId,
+        adGroupId,
+        adGroupName: spec.level === 'campaign' ? null : (record.adGroupName || null),
+        adGroupKey: adGroupId || '',
+        ...adDetailFields(spec.level, detail),
+        detailKey: adDetailKey(spec.level, detail),
+        metrics: {
+            impressions: Number(record.impressions) || 0,
+            clicks: Number(record.clicks) || 0,
+            spend: Number(record.cost) || 0,
+            orders: Number(record.purchases14d) || 0,
+            sales: Number(record.sales14d) || 0,
+            kenpPages: Number(record.kindleEditionNormalizedPagesRead14d) || 0
+        }
+    };
+}
+
+// Users whose report sync is running; polling can take many minutes, longer
+// than the auto-sync interval
+const adsReportSyncsInProgress = new Set();
+
+// Fetch every report for every profile of a user and store the daily rows.
+// Runs at most every ADS_REPORT_MIN_INTERVAL_MS unless forced, and never
+// twice at once for a user.
+async function syncAmazonAdsReports(userId, client, { force = false } = {}) {
+    if (adsReportSyncsInProgress.has(userId)) {
+        return { skipped: true, inProgress: true };
+    }
+    
+    const lastRun = Date.parse(appData.users.get(userId)?.adsReportsSyncedAt || '') || 0;
+    if (!force && Date.now() - lastRun < ADS_REPORT_MIN_INTERVAL_MS) {
+        return { skipped: true };
+    }
+    
+    adsReportSyncsInProgress.add(userId);
+    try {
+        return await fetchAmazonAdsReports(userId, client);
+    } finally {
+        adsReportSyncsInProgress.delete(userId);
+    }
+}
+
+async function fetchAmazonAdsReports(userId, client) {
+    const endDate = toLedgerDate();
+    const start = new Date(`${endDate}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (ADS_REPORT_LOOKBACK_DAYS - 1));
+    const startDate = start.toISOString().substring(0, 10);
+    
+    const aggregated = new Map();
+    const errors = [];
+    const profiles = await fetchAmazonAdsProfiles(client);
+    
+    for (const profile of profiles) {
+        // Create every report first so Amazon generates them in parallel
+        const requests = await Promise.all(ADS_API_REPORTS.map(spec =>
+            createAdsReport(client, profile.profileId, spec, startDate, endDate)
+                .then(reportId => ({ spec, reportId }))
+                .catch(error => ({ spec, error }))
+        ));
+        
+        for (const { spec, reportId, error } of requests) {
+            try {
+                if (error) throw error;
+                const url = await waitForAdsReport(client, profile.profileId, reportId);
+                const records = await downloadAdsReport(client, url);
+                records.forEach(record => {
+                    const entry = adsApiReportEntry(record, spec, profile);
+                    if (entry.date && entry.marketplace) {
+                        addAdPerformanceEntry(aggregated, userId, entry, 'ads_api');
+                    }
+                });
+            } catch (reportError) {
+                errors.push({ profileId: profile.profileId, level: spec.level, error: reportError.message });
+            }
+        }
+    }
+    
+    const rows = storeAdPerformanceRows(aggregated);
+    updateUser(userId, { adsReportsSyncedAt: new Date().toISOString() });
+    
+    return { startDate, endDate, profiles: profiles.length, rows, errors };
+}
+
+// ADS REPORT IMPORT
+// Sponsored Products campaign, advertised product, targeting and search-term
+// reports, and bulk files, downloaded from the Ads console. Each line becomes
+// a daily performance row in appData.ads for its campaign, ad group and level;
+// product, target and search-term rows also carry the ASIN, target or term
+// they describe, so the ads hierarchy can be rebuilt from them.
+
+// Report levels from most to least complete. When a campaign has rows from
+// several levels on the same day, only the most complete level is counted.
+const AD_REPORT_LEVELS = ['campaign', 'ad_group', 'advertised_product', 'targeting', 'search_term'];
+
+const AD_REPORT_COLUMNS = {
+    date: ['date', 'day'],
+    startDate: ['start date'],
+    endDate: ['end date'],
+    entity: ['entity'],
+    campaignId: ['campaign id'],
+    campaignName: ['campaign name', 'campaign name informational only', 'campaign'],
+    adGroupId: ['ad group id'],
+    adGroupName: ['ad group name', 'ad group name informational only', 'ad group'],
+    adId: ['ad id'],
+    asin: ['advertised asin', 'asin', 'asin informational only'],
+    targetId: ['keyword id', 'product targeting id', 'target id'],
+    targeting: ['targeting', 'keyword text', 'keyword', 'product targeting expression'],
+    matchType: ['match type'],
+    searchTerm: ['customer search term'],
+    marketplace: ['country', 'marketplace'],
+    currency: ['currency'],
+    impressions: ['impressions'],
+    clicks: ['clicks'],
+    spend: ['spend', 'cost'],
+    orders: [/^\d+ day total orders/, 'orders'],
+    sales: [/^\d+ day total sales/, 'sales'],
+    kenpPages: [/kenp|normalized page/]
+};
+
+const CURRENCY_MARKETPLACES = {
+    USD: 'US',
+    GBP: 'UK',
+    CAD: 'CA',
+    AUD: 'AU',
+    JPY: 'JP',
+    INR: 'IN',
+    BRL: 'BR',
+    MXN: 'MX',
+    PLN: 'PL',
+    SEK: 'SE'
+};
+
+// Campaign and ad group rows have no detail key
+function adPerformanceKey(row) {
+    const key = [row.userId, row.date, row.campaignKey, row.adGroupKey, row.level].join('|');
+    return row.detailKey ? `${key}|${row.detailKey}` : key;
+}
+
+// What a product, target or search-term row describes within its ad group
+function adDetailKey(level, { asin, targetId, targeting, matchType, searchTerm }) {
+    const target = targetId || [targeting, matchType].filter(Boolean).join(':').toLowerCase();
+    if (level === 'advertised_product') return asin;
+    if (level === 'targeting') return target;
+    if (level === 'search_term') return `${target}:${String(searchTerm).toLowerCase()}`;
+    return '';
+}
+
+// Structure records (campaigns, ad groups, product ads, keywords, targets) have no date
+function adStructureKey(userId, entity, id) {
+    return [userId, entity, String(id)].join('|');
+}
+
+// Work out the report level of a sheet; null means "skip the whole sheet"
+function detectAdReportLevel(headers) {
+    if (!headers.some(header => header.startsWith('campaign'))) return null;
+    if (headers.includes('entity')) return 'bulk';
+    if (headers.includes('customer search term')) return 'search_term';
+    if (headers.some(header => ['targeting', 'keyword', 'keyword text', 'product targeting expression'].includes(header))) {
+        return 'targeting';
+    }
+    if (headers.includes('advertised asin')) return 'advertised_product';
+    if (headers.some(header => header.startsWith('ad group'))) return 'ad_group';
+    return 'campaign';
+}
+
+// Bulk file entities whose lines are imported, by report level
+const AD_BULK_ENTITIES = {
+    'campaign': 'campaign',
+    'ad group': 'ad_group',
+    'product ad': 'advertised_product',
+    'keyword': 'targeting',
+    'product targeting': 'targeting'
+};
+
+function normalizeAdReportSheet(sheet, defaults) {
+    const result = { entries: [], productAds: [], skipped: [], duplicates: 0 };
+    const headers = Object.keys(sheet.rows[0]?.values || {});
+    const sheetLevel = detectAdReportLevel(headers);
+
+    if (!sheetLevel) {
+        return { ...result, ignored: true };
+    }
+
+    const seenLines = new Set();
+
+    sheet.rows.forEach(({ line, values }) => {
+        if (isBlankReportRow(values)) return;
+
+        const skip = reason => result.skipped.push({ sheet: sheet.name, line, reason });
+
+        const signature = JSON.stringify(values);
+        if (seenLines.has(signature)) {
+            result.duplicates++;
+            return skip('Duplicate line');
+        }
+        seenLines.add(signature);
+
+        // Bulk files mix entities on one sheet; negative targets and the like carry no metrics
+        let level = sheetLevel;
+        if (sheetLevel === 'bulk') {
+            level = AD_BULK_ENTITIES[normalizeHeader(pickColumn(values, AD_REPORT_COLUMNS.entity))];
+            if (!level) return;
+        }
+
+        const campaignId = String(pickColumn(values, AD_REPORT_COLUMNS.campaignId)).trim();
+        const campaignName = String(pickColumn(values, AD_REPORT_COLUMNS.campaignName)).trim();
+        if (!campaignId && !campaignName) return skip('Missing campaign');
+
+        const adGroupId = String(pickColumn(values, AD_REPORT_COLUMNS.adGroupId)).trim();
+        const adGroupName = String(pickColumn(values, AD_REPORT_COLUMNS.adGroupName)).trim();
+        if (level !== 'campaign' && !adGroupId && !adGroupName) return skip('Missing ad group');
+
+        const detail = {
+            asin: String(pickColumn(values, AD_REPORT_COLUMNS.asin)).trim().toUpperCase(),
+            targetId: String(pickColumn(values, AD_REPORT_COLUMNS.targetId)).trim(),
+            targeting: String(pickColumn(values, AD_REPORT_COLUMNS.targeting)).trim(),
+            matchType: String(pickColumn(values, AD_REPORT_COLUMNS.matchType)).trim().toLowerCase(),
+            searchTerm: String(pickColumn(values, AD_REPORT_COLUMNS.searchTerm)).trim()
+        };
+        const detailKey = adDetailKey(level, detail);
+        if (level !== 'campaign' && level !== 'ad_group' && !detailKey) return skip('Missing ASIN, target or search term');
+
+        // Product ad lines tell which book an ad group advertises, with or without metrics
+        if (level === 'advertised_product') {
+            result.productAds.push({
+                campaignId: campaignId || null,
+                campaignName: campaignName || null,
+                adGroupId: adGroupId || null,
+                adGroupName: adGroupName || null,
+                adId: String(pickColumn(values, AD_REPORT_COLUMNS.adId)).trim() || null,
+                asin: detail.asin
+            });
+        }
+
+        // Daily reports have a date column; summary reports only qualify when they cover a single day
+        let date = parseReportDate(pickColumn(values, AD_REPORT_COLUMNS.date), false)?.date;
+        if (!date) {
+            const start = parseReportDate(pickColumn(values, AD_REPORT_COLUMNS.startDate), false)?.date;
+            const end = parseReportDate(pickColumn(values, AD_REPORT_COLUMNS.endDate), false)?.date;
+            if (start && start === end) {
+                date = start;
+            } else if (start || end) {
+                if (!defaults.reportDate) return skip('Report covers several days: download it with a daily time unit or set a report date');
+            }
+        }
+        date = date || defaults.reportDate;
+        if (!date) return skip('Missing date (set a report date for files without one)');
+
+        const currency = String(pickColumn(values, AD_REPORT_COLUMNS.currency)).trim().toUpperCase();
+        const marketplace = marketplaceFromLabel(pickColumn(values, AD_REPORT_COLUMNS.marketplace))
+            || defaults.marketplace
+            || CURRENCY_MARKETPLACES[currency];
+        if (!marketplace) return skip('Unknown marketplace (set one for this file)');
+
+        result.entries.push({
+            date,
+            level,
+            marketplace,
+            currency: currency || MARKETPLACE_CURRENCIES[marketplace],
+            campaignId: campaignId || null,
+            campaignName: campaignName || null,
+            campaignKey: campaignId || campaignName,
+            adGroupId: level === 'campaign' ? null : (adGroupId || null),
+            adGroupName: level === 'campaign' ? null : (adGroupName || null),
+            adGroupKey: level === 'campaign' ? '' : (adGroupId || adGroupName),
+            ...adDetailFields(level, detail),
+            detailKey,
+            metrics: {
+                impressions: parseReportNumber(pickColumn(values, AD_REPORT_COLUMNS.impressions)),
+                clicks: parseReportNumber(pickColumn(values, AD_REPORT_COLUMNS.clicks)),
+                spend: parseReportNumber(pickColumn(values, AD_REPORT_COLUMNS.spend)),
+                orders: parseReportNumber(pickColumn(values, AD_REPORT_COLUMNS.orders)),
+                sales: parseReportNumber(pickColumn(values, AD_REPORT_COLUMNS.sales)),
+                kenpPages: parseReportNumber(pickColumn(values, AD_REPORT_COLUMNS.kenpPages))
+            }
+        });
+    });
+
+    return { ...result, level: sheetLevel };
+}
+
+const AD_METRICS = ['impressions', 'clicks', 'spend', 'orders', 'sales', 'kenpPages'];
+const AD_MONEY_FIELDS = ['spend', 'sales'];
+
+// Detail fields stored on a performance row of the given level
+function adDetailFields(level, { asin, targetId, targeting, matchType, searchTerm }) {
+    if (level === 'advertised_product') return { asin };
+    if (level === 'targeting') return { targetId: targetId || null, targeting, matchType: matchType || null };
+    if (level === 'search_term') return { targetId: targetId || null, targeting, matchType: matchType || null, searchTerm };
+    return {};
+}
+
+// Save product ads (ad group -> ASIN) found in imports and API listings
+function storeProductAds(userId, productAds, source) {
+    productAds.forEach(productAd => {
+        const id = productAd.adId || `${productAd.campaignId || productAd.campaignName}:${productAd.adGroupId || productAd.adGroupName}:${productAd.asin}`;
+        const key = adStructureKey(userId, 'product_ad', id);
+        appData.ads.set(key, {
+            ...appData.ads.get(key),
+            ...productAd,
+            entity: 'product_ad',
+            userId,
+            source,
+            lastUpdated: new Date().toISOString()
+        });
+    });
+}
+
+// Sum an entry into its performance row (lines below ad group level add up)
+function addAdPerformanceEntry(aggregated, userId, { metrics, ...entry }, source) {
+    const key = adPerformanceKey({ userId, ...entry });
+    const row = aggregated.get(key) || {
+        ...entry,
+        userId,
+        impressions: 0,
+        clicks: 0,
+        spend: 0,
+        orders: 0,
+        sales: 0,
+        kenpPages: 0,
+        source
+    };
+    AD_METRICS.forEach(metric => {
+        row[metric] += metrics[metric];
+    });
+    aggregated.set(key, row);
+}
+
+// Upsert aggregated rows: a new report for a day replaces that day's figures
+function storeAdPerformanceRows(aggregated) {
+    const counts = { inserted: 0, updated: 0, duplicates: 0 };
+
+    aggregated.forEach((row, key) => {
+        const existing = appData.ads.get(key);
+        if (existing) {
+            if (AD_METRICS.every(metric => existing[metric] === row[metric])) {
+                counts.duplicates++;
+                return;
+            }
+            counts.updated++;
+        } else {
+            counts.inserted++;
+        }
+        appData.ads.set(key, { ...row, lastUpdated: new Date().toISOString() });
+    });
+
+    return counts;
+}
+
+// Import parsed Ads report files for a user. Targeting and search-term lines
+// are summed per ad group; re-importing a day replaces that day's figures.
+function importAdReportSheets(userId, files, defaults = {}) {
+    const report = {
+        files: [],
+        performanceRows: { inserted: 0, updated: 0, duplicates: 0 },
+        duplicateLines: 0,
+        skipped: []
+    };
+    const aggregated = new Map();
+
+    files.forEach(({ fileName, sheets }) => {
+        const fileReport = { fileName, sheets: [] };
+
+        sheets.forEach(sheet => {
+            const normalized = normalizeAdReportSheet(sheet, defaults);
+            fileReport.sheets.push({
+                name: sheet.name,
+                kind: normalized.ignored ? 'ignored' : normalized.level,
+                format: null,
+                rows: normalized.entries.length,
+                skipped: normalized.skipped.length
+            });
+            report.duplicateLines += normalized.duplicates;
+            report.skipped.push(...normalized.skipped.map(line => ({ file: fileName, ...line })));
+
+            normalized.entries.forEach(entry => addAdPerformanceEntry(aggregated, userId, entry, 'ads_report'));
+            storeProductAds(userId, normalized.productAds, 'ads_report');
+        });
+
+        report.files.push(fileReport);
+    });
+
+    report.performanceRows = storeAdPerformanceRows(aggregated);
+
+    return report;
+}
+
+// Sources from most to least trusted when both cover a campaign on the same day
+const AD_PERFORMANCE_SOURCES = ['ads_api', 'ads_report'];
+
+// Console reports often name campaigns and ad groups without their ids;
+// returns a function that rewrites a row's keys to ids whenever one is known
+function adKeyResolver(userId) {
+    const campaignIds = new Map();
+    const adGroupIds = new Map();
+
+    for (const record of appData.ads.values()) {
+        if (record.userId !== userId || !record.campaignId) continue;
+
+        const campaignName = record.campaignName || ((record.entity || 'campaign') === 'campaign' ? record.name : null);
+        if (campaignName) campaignIds.set(campaignName, String(record.campaignId));
+
+        const adGroupName = record.adGroupName || (record.entity === 'ad_group' ? record.name : null);
+        if (record.adGroupId && adGroupName) {
+            adGroupIds.set(`${record.campaignId}|${adGroupName}`, String(record.adGroupId));
+        }
+    }
+
+    return row => {
+        const campaignKey = row.campaignId
+            ? String(row.campaignId)
+            : (campaignIds.get(row.campaignName) || row.campaignKey);
+        const adGroupKey = row.adGroupId
+            ? String(row.adGroupId)
+            : (adGroupIds.get(`${campaignKey}|${row.adGroupName}`) || row.adGroupKey || '');
+        return { ...row, campaignKey, adGroupKey };
+    };
+}
+
+// Every daily performance row of a user for a period (and marketplace), keys
+// resolved to ids and money converted to the user's base currency
+function adPerformanceRows(userId, { startDate, endDate, marketplace } = {}) {
+    const resolve = adKeyResolver(userId);
+    const currency = userBaseCurrency(userId);
+    const rows = [];
+
+    // Entries without a date are structure records, not performance rows
+    for (const row of appData.ads.values()) {
+        if (row.userId !== userId || !row.date) continue;
+        if (startDate && row.date < startDate) continue;
+        if (endDate && row.date > endDate) continue;
+        if (marketplace && row.marketplace !== marketplace) continue;
+        rows.push(convertRowAmounts(resolve(row), AD_MONEY_FIELDS, currency));
+    }
+
+    return rows;
+}
+
+function adRowRank(row) {
+    return AD_PERFORMANCE_SOURCES.indexOf(row.source) * AD_REPORT_LEVELS.length + AD_REPORT_LEVELS.indexOf(row.level);
+}
+
+// Keep for each campaign and day only the rows of the best source and most complete level
+function bestAdRows(rows) {
+    const best = new Map();
+    rows.forEach(row => {
+        const bucket = `${row.date}|${row.campaignKey}`;
+        if (!best.has(bucket) || adRowRank(row) < best.get(bucket)) {
+            best.set(bucket, adRowRank(row));
+        }
+    });
+
+    return rows.filter(row => adRowRank(row) === best.get(`${row.date}|${row.campaignKey}`));
+}
+
+// Daily ad performance rows of a user for a period, one level per campaign and day
+function queryAdPerformance(userId, period = {}) {
+    return bestAdRows(adPerformanceRows(userId, period))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Per-campaign totals for a period, merged with campaign records from the Ads API.
+// With format or author filters, only campaigns advertising a matching book are
+// kept, with their whole totals.
+function getAdCampaignsWithTotals(userId, period) {
+    const books = filteredAsins(userId, period);
+    const { byCampaign } = books ? advertisedAsins(userId) : {};
+    const advertisesBooks = key => !books || Array.from(byCampaign.get(key) || []).some(asin => books.has(asin));
+    const rows = queryAdPerformance(userId, period).filter(row => advertisesBooks(String(row.campaignKey)));
+    const campaigns = new Map();
+
+    for (const ad of appData.ads.values()) {
+        if (ad.userId !== userId || ad.date || (ad.entity || 'campaign') !== 'campaign') continue;
+        if (period.marketplace && ad.marketplace && ad.marketplace !== period.marketplace) continue;
+        if (advertisesBooks(String(ad.campaignId))) {
+            campaigns.set(String(ad.campaignId), { ...ad, spend: 0, impressions: 0, clicks: 0, orders: 0, sales: 0 });
+        }
+    }
+
+    rows.forEach(row => {
+        const key = String(row.campaignKey);
+        if (!campaigns.has(key)) {
+            campaigns.set(key, {
+                campaignId: row.campaignId,
+                name: row.campaignName,
+                marketplace: row.marketplace,
+                currency: row.currency,
+                userId,
+                spend: 0,
+                impressions: 0,
+                clicks: 0,
+                orders: 0,
+                sales: 0
+            });
+        }
+        const campaign = campaigns.get(key);
+        ['spend', 'impressions', 'clicks', 'orders', 'sales'].forEach(metric => {
+            campaign[metric] += row[metric];
+        });
+    });
+
+    return { campaigns: Array.from(campaigns.values()), rows };
+}
+
+// Ad spend of a period: the campaign totals, or only the spend attributed to
+// the matching books when format or author filters are set
+function totalAdSpend(userId, period, books, campaigns) {
+    const spends = filteredAsins(userId, period)
+        ? books.map(book => book.adSpend)
+        : campaigns.map(ad => ad.spend || 0);
+    return spends.reduce((sum, spend) => sum + spend, 0);
+}
+
+// ADS BY BOOK
+// Spend is attributed to books from advertised product rows when a campaign
+// has them for the day. Otherwise the campaign's rows are split evenly across
+// the ASINs its ad group (or, for campaign rows, the whole campaign) advertises.
+
+const AD_BOOK_METRICS = ['impressions', 'clicks', 'spend', 'orders', 'sales'];
+
+// ASINs advertised by each ad group and campaign, from product ads and product rows
+function advertisedAsins(userId) {
+    const resolve = adKeyResolver(userId);
+    const byAdGroup = new Map();
+    const byCampaign = new Map();
+    const add = (map, key, asin) => {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(asin);
+    };
+
+    for (const record of appData.ads.values()) {
+        if (record.userId !== userId || !record.asin) continue;
+        if (record.entity && record.entity !== 'product_ad') continue;
+
+        const row = resolve(record);
+        const asin = String(record.asin).toUpperCase();
+        add(byAdGroup, `${row.campaignKey}|${row.adGroupKey}`, asin);
+        add(byCampaign, row.campaignKey, asin);
+    }
+
+    return { byAdGroup, byCampaign };
+}
+
+function emptyBookAdTotals() {
+    return {
+        adImpressions: 0,
+        adClicks: 0,
+        adSpend: 0,
+        adOrders: 0,
+        adSales: 0,
+        adsByMarketplace: {}
+    };
+}
+
+// Daily ad metrics split per advertised ASIN. Rows of campaigns whose ASINs
+// are unknown keep a null asin, so period totals still add up (unless format
+// or author filters keep only the matching books' rows).
+function attributeAdRows(userId, period = {}) {
+    const rows = adPerformanceRows(userId, period);
+    const { byAdGroup, byCampaign } = advertisedAsins(userId);
+    const attributed = [];
+
+    const attribute = (asin, row, share) => {
+        const entry = { date: row.date, asin, marketplace: row.marketplace, currency: row.currency, campaignKey: row.campaignKey };
+        if (row.fxMissing) Object.assign(entry, { fxMissing: true, original: { currency: row.original.currency } });
+        AD_BOOK_METRICS.forEach(metric => {
+            entry[metric] = row[metric] * share;
+        });
+        attributed.push(entry);
+    };
+
+    const productRows = bestAdRows(rows.filter(row => row.level === 'advertised_product'));
+    const covered = new Set(productRows.map(row => `${row.date}|${row.campaignKey}`));
+    productRows.forEach(row => attribute(String(row.asin).toUpperCase(), row, 1));
+
+    bestAdRows(rows.filter(row => !covered.has(`${row.date}|${row.campaignKey}`))).forEach(row => {
+        const asins = (row.adGroupKey && byAdGroup.get(`${row.campaignKey}|${row.adGroupKey}`))
+            || byCampaign.get(row.campaignKey);
+        if (!asins) return attribute(null, row, 1);
+        asins.forEach(asin => attribute(asin, row, 1 / asins.size));
+    });
+
+    const books = filteredAsins(userId, period);
+    return books ? attributed.filter(entry => entry.asin && books.has(entry.asin)) : attributed;
+}
+
+// Ad metrics per ASIN for a period, in total and per marketplace
+function getAdTotalsByAsin(userId, period) {
+    const totals = new Map();
+
+    attributeAdRows(userId, period).forEach(entry => {
+        if (!entry.asin) return;
+        if (!totals.has(entry.asin)) totals.set(entry.asin, emptyBookAdTotals());
+        const book = totals.get(entry.asin);
+        const marketplace = book.adsByMarketplace[entry.marketplace]
+            || (book.adsByMarketplace[entry.marketplace] = { impressions: 0, clicks: 0, spend: 0, orders: 0, sales: 0 });
+
+        AD_BOOK_METRICS.forEach(metric => {
+            book[`ad${metric.charAt(0).toUpperCase()}${metric.slice(1)}`] += entry[metric];
+            marketplace[metric] += entry[metric];
+        });
+    });
+
+    return totals;
+}
+
+// Campaign -> ad group -> product ads and targets -> search terms for a
+// period. Each node's metrics come from the report level describing it
+// (null when no such report has been imported or synced).
+function getAdHierarchy(userId, period) {
+    const resolve = adKeyResolver(userId);
+    const rows = adPerformanceRows(userId, period);
+    const campaigns = new Map();
+
+    const emptyMetrics = () => ({ impressions: 0, clicks: 0, spend: 0, orders: 0, sales: 0 });
+    const addMetrics = (node, row) => {
+        node.metrics = node.metrics || emptyMetrics();
+        AD_BOOK_METRICS.forEach(metric => {
+            node.metrics[metric] += row[metric];
+        });
+    };
+    const campaignNode = (key, fields = {}) => {
+        if (!campaigns.has(key)) {
+            campaigns.set(key, { campaignKey: key, name: null, marketplace: null, state: null, metrics: null, adGroups: new Map() });
+        }
+        const node = campaigns.get(key);
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value) node[field] = value;
+        });
+        return node;
+    };
+    const adGroupNode = (campaignKey, key, fields = {}) => {
+        const parent = campaignNode(campaignKey);
+        if (!parent.adGroups.has(key)) {
+            parent.adGroups.set(key, { adGroupKey: key, name: null, state: null, metrics: null, productAds: new Map(), targets: new Map() });
+        }
+        const node = parent.adGroups.get(key);
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value) node[field] = value;
+        });
+        return node;
+    };
+    const targetNode = (adGroup, key, fields) => {
+        if (!adGroup.targets.has(key)) {
+            adGroup.targets.set(key, { targetKey: key, ...fields, metrics: null, searchTerms: new Map() });
+        }
+        return adGroup.targets.get(key);
+    };
+
+    // Structure first, so campaigns without activity in the period still show
+    for (const record of appData.ads.values()) {
+        if (record.userId !== userId || record.date || !record.campaignId) continue;
+        const { campaignKey, adGroupKey } = resolve(record);
+        const entity = record.entity || 'campaign';
+
+        if (entity === 'campaign') {
+            campaignNode(campaignKey, { name: record.name || record.campaignName, marketplace: record.marketplace, state: record.state });
+        } else if (entity === 'ad_group') {
+            adGroupNode(campaignKey, adGroupKey, { name: record.name || record.adGroupName, state: record.state });
+        } else if (entity === 'product_ad' && record.asin && adGroupKey) {
+            const adGroup = adGroupNode(campaignKey, adGroupKey, { name: record.adGroupName });
+            if (!adGroup.productAds.has(record.asin)) {
+                adGroup.productAds.set(record.asin, { asin: record.asin, state: record.state || null, metrics: null });
+            }
+        } else if ((entity === 'keyword' || entity === 'target') && adGroupKey) {
+            const targeting = record.keywordText
+                || (record.expression || []).map(part => (part.value ? `${part.type}="${part.value}"` : part.type)).join(' ');
+            targetNode(adGroupNode(campaignKey, adGroupKey), String(record.entityId), {
+                targeting,
+                matchType: record.matchType || null,
+                state: record.state || null
+            });
+        }
+    }
+
+    // Metrics per level, each level deduplicated across sources on its own
+    AD_REPORT_LEVELS.forEach(level => {
+        bestAdRows(rows.filter(row => row.level === level)).forEach(row => {
+            const campaign = campaignNode(row.campaignKey, { name: row.campaignName, marketplace: row.marketplace });
+            if (level === 'campaign') return addMetrics(campaign, row);
+
+            const adGroup = adGroupNode(row.campaignKey, row.adGroupKey, { name: row.adGroupName });
+            if (level === 'ad_group') return addMetrics(adGroup, row);
+
+            if (level === 'advertised_product') {
+                if (!adGroup.productAds.has(row.asin)) {
+                    adGroup.productAds.set(row.asin, { asin: row.asin, state: null, metrics: null });
+                }
+                return addMetrics(adGroup.productAds.get(row.asin), row);
+            }
+
+            const textKey = [row.targeting, row.matchType].filter(Boolean).join(':').toLowerCase();
+            const target = (row.targetId && adGroup.targets.get(row.targetId))
+                || targetNode(adGroup, row.targetId || textKey, { targeting: row.targeting, matchType: row.matchType, state: null });
+            if (level === 'targeting') return addMetrics(target, row);
+
+            const term = String(row.searchTerm).toLowerCase();
+            if (!target.searchTerms.has(term)) {
+                target.searchTerms.set(term, { searchTerm: row.searchTerm, metrics: null });
+            }
+            addMetrics(target.searchTerms.get(term), row);
+        });
+    });
+
+    const titles = new Map(Array.from(appData.books.values())
+        .filter(book => book.userId === userId)
+        .map(book => [book.asin || book.id, book.title]));
+
+    // A level without report rows of its own (e.g. only an advertised product
+    // report was imported) takes the sum of its children instead
+    const rollUp = (metrics, children) => {
+        if (metrics) return metrics;
+        const measured = children.filter(child => child.metrics);
+        if (measured.length === 0) return null;
+        return measured.reduce((total, child) => {
+            addMetrics(total, child.metrics);
+            return total;
+        }, {}).metrics;
+    };
+
+    return Array.from(campaigns.values()).map(campaign => {
+        const adGroups = Array.from(campaign.adGroups.values()).map(adGroup => {
+            const productAds = Array.from(adGroup.productAds.values()).map(productAd => ({
+                ...productAd,
+                title: titles.get(productAd.asin) || null
+            }));
+            const targets = Array.from(adGroup.targets.values()).map(target => ({
+                ...target,
+                metrics: rollUp(target.metrics, Array.from(target.searchTerms.values())),
+                searchTerms: Array.from(target.searchTerms.values())
+            }));
+            const children = productAds.some(productAd => productAd.metrics) ? productAds : targets;
+            return { ...adGroup, metrics: rollUp(adGroup.metrics, children), productAds, targets };
+        });
+        return { ...campaign, metrics: rollUp(campaign.metrics, adGroups), adGroups };
+    });
+}
+
+// Ads hierarchy with metrics for the requested period
+app.get('/api/ads/hierarchy', requireSession, (req, res) => {
+    try {
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                period,
+                campaigns: getAdHierarchy(req.user.userId, period)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Ads hierarchy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build ads hierarchy: ' + error.message
+        });
+    }
+});
+
+// Upload Ads console report files (multipart field "files", .csv or .xlsx).
+// Optional fields: marketplace and reportDate for files that lack them.
+app.post('/api/import/ads', requireSession, async (req, res) => {
+    try {
+        const files = await receiveReportFiles(req, res);
+        const { userId } = req.user;
+        const { marketplace, reportDate } = req.body;
+        
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No report files uploaded'
+            });
+        }
+        
+        const defaults = {
+            marketplace: marketplace ? marketplaceFromLabel(marketplace) : null,
+            reportDate: reportDate ? parseReportDate(reportDate, false)?.date : null
+        };
+        if ((marketplace && !defaults.marketplace) || (reportDate && !defaults.reportDate)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid marketplace or report date'
+            });
+        }
+        
+        const parsedFiles = [];
+        for (const file of files) {
+            try {
+                parsedFiles.push({ fileName: file.originalname, sheets: await readReportFile(file) });
+            } catch (parseError) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Could not read ${file.originalname}: ${parseError.message}`
+                });
+            }
+        }
+        
+        const report = importAdReportSheets(userId, parsedFiles, defaults);
+        const alerts = evaluateAlerts(userId);
+        
+        await saveDataToDisk();
+        
+        logSyncActivity('ADS_IMPORT', `Ads reports imported: ${report.performanceRows.inserted} new, ${report.performanceRows.updated} updated, ${report.skipped.length} skipped lines`, userId);
+        
+        res.json({
+            success: true,
+            message: 'Reports imported',
+            data: {
+                ...report,
+                skippedCount: report.skipped.length,
+                skipped: report.skipped.slice(0, 200),
+                newAlerts: alerts.length
+            }
+        });
+        
+    } catch (error) {
+        console.error('Ads import error:', error);
+        res.status(error instanceof multer.MulterError ? 400 : 500).json({
+            success: false,
+            error: 'Import failed: ' + error.message
+        });
+    }
+});
+
+// ADVERTISING METRICS
+// Ratios per book, marketplace and period: ACOS = spend / ad sales, TACOS =
+// spend / all royalties (paid and KENP, from ads or not), ROAS = ad sales /
+// spend, CPC = spend / clicks, CVR = orders / clicks, ROI = (royalties -
+// spend) / spend. Break-even ACOS is the share of an ad sale a book can spend
+// without losing money: its royalty per paid unit over the average ad sale
+// (ad sales / ad orders). Ratios without a denominator are null.
+
+// ACOS above this share of break-even counts as marginal
+const ACOS_MARGINAL_SHARE = 0.8;
+
+const AD_METRIC_INPUTS = ['impressions', 'clicks', 'spend', 'orders', 'sales', 'royalties', 'salesRoyalties', 'units'];
+
+function ratio(numerator, denominator) {
+    return denominator ? numerator / denominator : null;
+}
+
+// 'profitable', 'marginal' or 'unprofitable' against break-even ACOS (null without spend)
+function acosStatus(acos, breakEvenAcos, spend) {
+    if (!spend) return null;
+    if (acos === null) return 'unprofitable';
+    if (breakEvenAcos === null) return null;
+    if (acos > breakEvenAcos) return 'unprofitable';
+    return acos > breakEvenAcos * ACOS_MARGINAL_SHARE ? 'marginal' : 'profitable';
+}
+
+function computeAdMetrics({ impressions, clicks, spend, orders, sales, royalties, salesRoyalties, units }) {
+    const acos = ratio(spend, sales);
+    const royaltyPerSale = ratio(salesRoyalties, units);
+    const saleValue = ratio(sales, orders);
+    const breakEvenAcos = royaltyPerSale !== null && saleValue ? royaltyPerSale / saleValue : null;
+
+    return {
+        acos,
+        tacos: ratio(spend, royalties),
+        roas: ratio(sales, spend),
+        cpc: ratio(spend, clicks),
+        cvr: ratio(orders, clicks),
+        ctr: ratio(clicks, impressions),
+        roi: ratio(royalties - spend, spend),
+        breakEvenAcos,
+        acosStatus: acosStatus(acos, breakEvenAcos, spend)
+    };
+}
+
+// Advertising metrics of a user for a period in total, per marketplace and
+// per book (and marketplace), or per work with rollup 'work'. Spend of
+// campaigns whose books are unknown only counts in the totals.
+function getAdvertisingMetrics(userId, period, rollup = 'edition') {
+    const emptyInputs = () => Object.fromEntries(AD_METRIC_INPUTS.map(input => [input, 0]));
+    const totals = emptyInputs();
+    const marketplaces = new Map();
+    const books = new Map();
+
+    const bucket = (map, key, fields) => {
+        if (!map.has(key)) map.set(key, { ...fields, ...emptyInputs() });
+        return map.get(key);
+    };
+    const add = (asin, marketplace, values) => {
+        const targets = [totals, bucket(marketplaces, marketplace, { marketplace })];
+        if (asin) {
+            const book = bucket(books, asin, { asin, byMarketplace: new Map() });
+            targets.push(book, bucket(book.byMarketplace, marketplace, { marketplace }));
+        }
+        targets.forEach(target => {
+            Object.entries(values).forEach(([input, value]) => {
+                target[input] += value;
+            });
+        });
+    };
+
+    queryLedger(userId, period).forEach(row => add(String(row.asin).toUpperCase(), row.marketplace, {
+        royalties: row.royalties + row.kenpRoyalties,
+        salesRoyalties: row.royalties,
+        units: row.units
+    }));
+    attributeAdRows(userId, period).forEach(entry => add(entry.asin, entry.marketplace, {
+        impressions: entry.impressions,
+        clicks: entry.clicks,
+        spend: entry.spend,
+        orders: entry.orders,
+        sales: entry.sales
+    }));
+
+    const withMetrics = values => ({ ...values, ...computeAdMetrics(values) });
+    const byMarketplace = map => Array.from(map.values())
+        .map(withMetrics)
+        .sort((a, b) => b.spend - a.spend || b.royalties - a.royalties);
+    const titles = new Map(Array.from(appData.books.values())
+        .filter(book => book.userId === userId)
+        .map(book => [String(book.asin || book.id).toUpperCase(), book.title]));
+
+    const bookMetrics = Array.from(books.values())
+        .map(book => ({
+            ...withMetrics(book),
+            title: titles.get(book.asin) || null,
+            byMarketplace: byMarketplace(book.byMarketplace)
+        }))
+        .sort((a, b) => b.spend - a.spend || b.royalties - a.royalties);
+    const result = {
+        totals: withMetrics(totals),
+        byMarketplace: byMarketplace(marketplaces)
+    };
+    if (rollup !== 'work') return { ...result, books: bookMetrics };
+
+    const works = rollUpEditions(userId, bookMetrics, editions => {
+        const workMarketplaces = new Map();
+        editions.forEach(edition => edition.byMarketplace.forEach(entry => {
+            const target = bucket(workMarketplaces, entry.marketplace, { marketplace: entry.marketplace });
+            AD_METRIC_INPUTS.forEach(input => {
+                target[input] += entry[input];
+            });
+        }));
+        return {
+            ...withMetrics(sumFields(editions, AD_METRIC_INPUTS)),
+            byMarketplace: byMarketplace(workMarketplaces)
+        };
+    });
+    return { ...result, works: works.sort((a, b) => b.spend - a.spend || b.royalties - a.royalties) };
+}
+
+// ACOS, TACOS, ROAS, CPC, CVR and break-even ACOS for a period
+app.get('/api/analytics/advertising', requireSession, (req, res) => {
+    try {
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        const { rollup, error } = parseRollup(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                period,
+                currency: userBaseCurrency(req.user.userId),
+                thresholds: { marginalShareOfBreakEven: ACOS_MARGINAL_SHARE },
+                rollup,
+                ...getAdvertisingMetrics(req.user.userId, period, rollup)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Advertising metrics error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute advertising metrics'
+        });
+    }
+});
+
+// MARKETPLACE STATS
+// Period figures per marketplace: royalties in the base currency and as
+// reported (per currency, usually the marketplace's own), units, pages read
+// and the advertising metrics of each marketplace.
+
+function emptyMarketplaceLedger() {
+    return { freeUnits: 0, kenpPages: 0, originalRoyalties: {} };
+}
+
+function getMarketplaceStats(userId, period) {
+    const { totals, byMarketplace } = getAdvertisingMetrics(userId, period);
+    const rows = queryLedger(userId, period);
+    const ledger = new Map();
+
+    rows.forEach(row => {
+        if (!ledger.has(row.marketplace)) ledger.set(row.marketplace, emptyMarketplaceLedger());
+        const marketplace = ledger.get(row.marketplace);
+        const { currency, royalties, kenpRoyalties } = row.original;
+        marketplace.freeUnits += row.freeUnits;
+        marketplace.kenpPages += row.kenpPages;
+        marketplace.originalRoyalties[currency] = (marketplace.originalRoyalties[currency] || 0) + royalties + kenpRoyalties;
+    });
+
+    const ledgerTotals = Array.from(ledger.values()).reduce((sum, marketplace) => ({
+        freeUnits: sum.freeUnits + marketplace.freeUnits,
+        kenpPages: sum.kenpPages + marketplace.kenpPages
+    }), { freeUnits: 0, kenpPages: 0 });
+
+    return {
+        missingExchangeRates: missingFxCurrencies(rows),
+        totals: { ...totals, ...ledgerTotals },
+        marketplaces: byMarketplace
+            .map(metrics => ({
+                ...metrics,
+                currency: MARKETPLACE_CURRENCIES[metrics.marketplace] || null,
+                ...(ledger.get(metrics.marketplace) || emptyMarketplaceLedger())
+            }))
+            .sort((a, b) => b.royalties - a.royalties || b.spend - a.spend)
+    };
+}
+
+// Country Stats: one entry per marketplace with sales for the period
+app.get('/api/analytics/marketplaces', requireSession, (req, res) => {
+    try {
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                period,
+                currency: userBaseCurrency(req.user.userId),
+                ...getMarketplaceStats(req.user.userId, period)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Marketplace stats error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute marketplace stats'
+        });
+    }
+});
+
+// BOOK PROFIT AND LOSS
+// Per book (ASIN) and period: gross royalties before printing, printing costs
+// (which Amazon deducts before paying paperback and hardcover royalties),
+// royalties, attributed ad spend and one-off production expenses. Expenses
+// are either counted in full on their date ('break_even') or spread evenly
+// over `amortizationMonths` ('amortize'). Payback and ROI always use the
+// book's whole history.
+
+const EXPENSE_CATEGORIES = ['cover', 'editing', 'formatting', 'other'];
+const EXPENSE_TREATMENTS = ['break_even', 'amortize'];
+const PRINT_TRIMS = ['regular', 'large'];
+const PRINT_INKS = ['black', 'standard_color', 'premium_color'];
+const DEFAULT_AMORTIZATION_MONTHS = 12;
+
+// Printing cost per copy by currency, format, ink and trim: `fixed` plus
+// `perPage`, or the flat `short` cost up to `shortMaxPages` pages. Defaults
+// from KDP's published printing costs; a book's print spec can override them
+// with its own `printCost`, which is also the only option in marketplaces
+// printed in other currencies.
+const PRINT_COST_TABLES = {
+    USD: {
+        paperback: {
+            black: {
+                regular: { shortMaxPages: 108, short: 2.30, fixed: 1.00, perPage: 0.012 },
+                large: { shortMaxPages: 108, short: 2.84, fixed: 1.00, perPage: 0.017 }
+            },
+            standard_color: {
+                regular: { fixed: 1.00, perPage: 0.0255 },
+                large: { fixed: 1.00, perPage: 0.0325 }
+            },
+            premium_color: {
+                regular: { shortMaxPages: 40, short: 3.65, fixed: 1.00, perPage: 0.065 },
+                large: { shortMaxPages: 40, short: 4.20, fixed: 1.00, perPage: 0.08 }
+            }
+        },
+        hardcover: {
+            black: {
+                regular: { shortMaxPages: 108, short: 6.80, fixed: 5.65, perPage: 0.012 },
+                large: { shortMaxPages: 108, short: 7.49, fixed: 5.65, perPage: 0.017 }
+            },
+            premium_color: {
+                regular: { fixed: 5.65, perPage: 0.065 },
+                large: { fixed: 5.65, perPage: 0.08 }
+            }
+        }
+    },
+    GBP: {
+        paperback: {
+            black: {
+                regular: { shortMaxPages: 108, short: 1.93, fixed: 0.85, perPage: 0.010 },
+                large: { shortMaxPages: 108, short: 2.15, fixed: 0.85, perPage: 0.012 }
+            },
+            standard_color: {
+                regular: { fixed: 0.85, perPage: 0.0206 },
+                large: { fixed: 0.85, perPage: 0.0253 }
+            },
+            premium_color: {
+                regular: { shortMaxPages: 40, short: 2.90, fixed: 0.85, perPage: 0.0510 },
+                large: { shortMaxPages: 40, short: 3.35, fixed: 0.85, perPage: 0.0610 }
+            }
+        },
+        hardcover: {
+            black: {
+                regular: { fixed: 4.45, perPage: 0.010 },
+                large: { fixed: 4.45, perPage: 0.012 }
+            }
+        }
+    },
+    EUR: {
+        paperback: {
+            black: {
+                regular: { shortMaxPages: 108, short: 2.05, fixed: 0.75, perPage: 0.012 },
+                large: { shortMaxPages: 108, short: 2.48, fixed: 0.75, perPage: 0.016 }
+            },
+            standard_color: {
+                regular: { fixed: 0.75, perPage: 0.0253 },
+                large: { fixed: 0.75, perPage: 0.0316 }
+            },
+            premium_color: {
+                regular: { shortMaxPages: 40, short: 3.30, fixed: 0.75, perPage: 0.060 },
+                large: { shortMaxPages: 40, short: 3.65, fixed: 0.75, perPage: 0.072 }
+            }
+        },
+        hardcover: {
+            black: {
+                regular: { fixed: 5.20, perPage: 0.012 },
+                large: { fixed: 5.20, perPage: 0.016 }
+            }
+        }
+    }
+};
+
+// Cost of printing one copy as { amount, currency }, or null when unknown
+function unitPrintCost(spec, format, marketplace) {
+    if (!spec) return null;
+    if (spec.printCost !== undefined) {
+        return { amount: spec.printCost, currency: spec.printCostCurrency };
+    }
+
+    const currency = MARKETPLACE_CURRENCIES[marketplace];
+    const costs = PRINT_COST_TABLES[currency]?.[format]?.[spec.ink || 'black']?.[spec.trim || 'regular'];
+    if (!costs || !spec.pageCount) return null;
+
+    const amount = costs.short !== undefined && spec.pageCount <= costs.shortMaxPages
+        ? costs.short
+        : costs.fixed + costs.perPage * spec.pageCount;
+    return { amount, currency };
+}
+
+function addMonths(date, months) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result.toISOString().substring(0, 10);
+}
+
+// Share of an expense that falls into a period (open ends count as unbounded)
+function expenseShare(expense, book, { startDate, endDate }) {
+    if ((book.expenseTreatment || 'break_even') === 'break_even') {
+        return (!startDate || expense.date >= startDate) && (!endDate || expense.date <= endDate) ? 1 : 0;
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const start = Date.parse(expense.date);
+    const end = Date.parse(addMonths(expense.date, book.amortizationMonths || DEFAULT_AMORTIZATION_MONTHS));
+    const from = Math.max(start, startDate ? Date.parse(startDate) : -Infinity);
+    const to = Math.min(end, endDate ? Date.parse(endDate) + dayMs : Infinity);
+
+    return Math.max(to - from, 0) / (end - start);
+}
+
+function bookAsin(book) {
+    return String(book.asin || book.id).toUpperCase();
+}
+
+// Books are stored per account, so several accounts can track the same ASIN
+function bookKey(userId, asin) {
+    return [userId, String(asin).toUpperCase()].join('|');
+}
+
+// The user's catalog entry for an ASIN as [key, book], or null
+function findUserBook(userId, asin) {
+    const wanted = String(asin).toUpperCase();
+    for (const [key, book] of appData.books.entries()) {
+        if (book.userId === userId && bookAsin(book) === wanted) return [key, book];
+    }
+    return null;
+}
+
+// Store a user's book under bookKey, moving it off the bare ASIN books used to
+// be stored under
+function saveUserBook(userId, asin, book) {
+    const key = bookKey(userId, asin);
+    const found = findUserBook(userId, asin);
+    if (found && found[0] !== key) appData.books.delete(found[0]);
+    appData.books.set(key, book);
+}
+
+function emptyPnl() {
+    return {
+        units: 0,
+        grossRoyalties: 0,
+        printCosts: 0,
+        royalties: 0,
+        adSpend: 0,
+        expenses: 0,
+        netProfit: 0
+    };
+}
+
+// Lifetime totals, payback date and ROI of the daily net contributions of one
+// or more books (a work's editions are paid back together)
+function lifetimeFigures(contributions) {
+    const daily = new Map();
+    contributions.forEach(contribution => contribution.days.forEach((amount, date) => {
+        daily.set(date, (daily.get(date) || 0) + amount);
+    }));
+    const total = field => contributions.reduce((sum, contribution) => sum + contribution[field], 0);
+
+    const lifetime = {
+        royalties: total('royalties'),
+        adSpend: total('adSpend'),
+        expenses: total('expenses'),
+        netProfit: 0,
+        roi: null,
+        paybackDate: null,
+        remainingToBreakEven: 0
+    };
+
+    // Payback: the day cumulative profit last turned non-negative after a loss
+    let cumulative = 0;
+    Array.from(daily.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .forEach(([date, amount]) => {
+            const before = cumulative;
+            cumulative += amount;
+            if (before < 0 && cumulative >= 0) lifetime.paybackDate = date;
+            if (cumulative < 0) lifetime.paybackDate = null;
+        });
+
+    lifetime.netProfit = cumulative;
+    lifetime.remainingToBreakEven = Math.max(-cumulative, 0);
+    const invested = lifetime.adSpend + lifetime.expenses;
+    lifetime.roi = invested ? cumulative / invested : null;
+
+    return lifetime;
+}
+
+// P&L of every book of a user for a period, with lifetime payback and ROI,
+// keyed by ASIN. With rollup 'work' the editions of each work are combined
+// into one entry keyed by work id (see rollUpEditions).
+function getBookPnl(userId, period, rollup = 'edition') {
+    const currency = userBaseCurrency(userId);
+    const books = Array.from(appData.books.values())
+        .filter(book => book.userId === userId && matchesBookFilters(book, period));
+    const result = new Map(books.map(book => [bookAsin(book), {
+        asin: bookAsin(book),
+        title: book.title || null,
+        format: book.format || null,
+        currency,
+        ...emptyPnl(),
+        margin: null,
+        missingPrintSpecs: [],
+        missingExchangeRates: [],
+        lifetime: null
+    }]));
+    const catalog = new Map(books.map(book => [bookAsin(book), book]));
+
+    // Amounts without exchange rates are left out and their currency flagged
+    const flagMissingRate = (asin, from) => {
+        const { missingExchangeRates } = result.get(asin);
+        if (!missingExchangeRates.includes(from)) missingExchangeRates.push(from);
+    };
+    const expenseAmount = (asin, expense) => {
+        const amount = convertCurrency(expense.amount, expense.currency, currency, expense.date);
+        if (amount === null) flagMissingRate(asin, expense.currency);
+        return amount;
+    };
+
+    // Royalties and printing costs of ledger rows, per book
+    const addLedgerRows = (rows, add) => rows.forEach(row => {
+        const asin = String(row.asin).toUpperCase();
+        const book = catalog.get(asin);
+        if (!book) return;
+        if (row.fxMissing) flagMissingRate(asin, row.original.currency);
+
+        let printCosts = 0;
+        if (row.units && (row.format === 'paperback' || row.format === 'hardcover')) {
+            const cost = unitPrintCost(book.printSpecs?.[row.format], row.format, row.marketplace);
+            printCosts = cost ? convertCurrency(cost.amount * row.units, cost.currency, currency, row.date) : null;
+            if (printCosts === null) {
+                const { missingPrintSpecs } = result.get(asin);
+                if (!missingPrintSpecs.includes(row.format)) missingPrintSpecs.push(row.format);
+                printCosts = 0;
+            }
+        }
+        add(asin, row, printCosts);
+    });
+
+    const adRows = period => attributeAdRows(userId, period).filter(entry => entry.asin && catalog.has(entry.asin));
+
+    // Period figures
+    addLedgerRows(queryLedger(userId, period), (asin, row, printCosts) => {
+        const pnl = result.get(asin);
+        pnl.units += row.units;
+        pnl.royalties += row.royalties + row.kenpRoyalties;
+        pnl.printCosts += printCosts;
+    });
+    adRows(period).forEach(entry => {
+        if (entry.fxMissing) flagMissingRate(entry.asin, entry.original.currency);
+        result.get(entry.asin).adSpend += entry.spend;
+    });
+    books.forEach(book => {
+        const asin = bookAsin(book);
+        const pnl = result.get(asin);
+        (book.expenses || []).forEach(expense => {
+            const share = expenseShare(expense, book, period);
+            if (share <= 0) return;
+            const amount = expenseAmount(asin, expense);
+            if (amount !== null) pnl.expenses += amount * share;
+        });
+        pnl.grossRoyalties = pnl.royalties + pnl.printCosts;
+        pnl.netProfit = pnl.royalties - pnl.adSpend - pnl.expenses;
+        pnl.margin = pnl.grossRoyalties ? pnl.netProfit / pnl.grossRoyalties : null;
+    });
+
+    // Lifetime: daily net contribution, expenses counted in full on their date
+    const daily = new Map(books.map(book => [bookAsin(book), new Map()]));
+    const addDaily = (asin, date, amount) => {
+        const days = daily.get(asin);
+        days.set(date, (days.get(date) || 0) + amount);
+    };
+    const lifetimeRoyalties = new Map();
+    const lifetimeAdSpend = new Map();
+    const addTo = (totals, asin, amount) => totals.set(asin, (totals.get(asin) || 0) + amount);
+    addLedgerRows(queryLedger(userId), (asin, row) => {
+        addDaily(asin, row.date, row.royalties + row.kenpRoyalties);
+        addTo(lifetimeRoyalties, asin, row.royalties + row.kenpRoyalties);
+    });
+    adRows({}).forEach(entry => {
+        if (entry.fxMissing) flagMissingRate(entry.asin, entry.original.currency);
+        addDaily(entry.asin, entry.date, -entry.spend);
+        addTo(lifetimeAdSpend, entry.asin, entry.spend);
+    });
+
+    const contributions = new Map();
+    books.forEach(book => {
+        const asin = bookAsin(book);
+        const expenses = (book.expenses || [])
+            .map(expense => ({ date: expense.date, amount: expenseAmount(asin, expense) }))
+            .filter(expense => expense.amount !== null);
+        expenses.forEach(expense => addDaily(asin, expense.date, -expense.amount));
+
+        contributions.set(asin, {
+            royalties: lifetimeRoyalties.get(asin) || 0,
+            adSpend: lifetimeAdSpend.get(asin) || 0,
+            expenses: expenses.reduce((sum, expense) => sum + expense.amount, 0),
+            days: daily.get(asin)
+        });
+        result.get(asin).lifetime = lifetimeFigures([contributions.get(asin)]);
+    });
+
+    if (rollup !== 'work') return result;
+
+    const works = rollUpEditions(userId, Array.from(result.values()), editions => {
+        const pnl = sumFields(editions, Object.keys(emptyPnl()));
+        return {
+            currency,
+            ...pnl,
+            margin: pnl.grossRoyalties ? pnl.netProfit / pnl.grossRoyalties : null,
+            missingPrintSpecs: Array.from(new Set(editions.flatMap(edition => edition.missingPrintSpecs))),
+            missingExchangeRates: Array.from(new Set(editions.flatMap(edition => edition.missingExchangeRates))).sort(),
+            lifetime: lifetimeFigures(editions.map(edition => contributions.get(edition.asin)))
+        };
+    });
+    return new Map(works.map(work => [work.workId || work.asins[0], work]));
+}
+
+function validatePrintSpec(spec) {
+    if (typeof spec !== 'object' || spec === null) return 'must be an object';
+    if (spec.pageCount !== undefined && !(Number.isInteger(spec.pageCount) && spec.pageCount > 0)) {
+        return 'pageCount must be a positive whole number';
+    }
+    if (spec.trim !== undefined && !PRINT_TRIMS.includes(spec.trim)) return `trim must be one of: ${PRINT_TRIMS.join(', ')}`;
+    if (spec.ink !== undefined && !PRINT_INKS.includes(spec.ink)) return `ink must be one of: ${PRINT_INKS.join(', ')}`;
+    if (spec.printCost !== undefined) {
+        if (!(typeof spec.printCost === 'number' && spec.printCost >= 0)) return 'printCost must be a non-negative number';
+        if (!/^[A-Z]{3}$/.test(spec.printCostCurrency || '')) return 'printCostCurrency is required with printCost';
+    }
+    return null;
+}
+
+// Production settings and expenses of a book, for the book page
+function describeBookProduction(book) {
+    return {
+        printSpecs: book.printSpecs || {},
+        expenseTreatment: book.expenseTreatment || 'break_even',
+        amortizationMonths: book.amortizationMonths || DEFAULT_AMORTIZATION_MONTHS,
+        expenses: book.expenses || []
+    };
+}
+
+// P&L of all books for a period
+app.get('/api/pnl', requireSession, (req, res) => {
+    try {
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        const { rollup, error } = parseRollup(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+        
+        const entries = Array.from(getBookPnl(req.user.userId, period, rollup).values())
+            .sort((a, b) => b.netProfit - a.netProfit);
+        const totals = entries.reduce((sum, entry) => {
+            Object.keys(sum).forEach(field => {
+                sum[field] += entry[field];
+            });
+            return sum;
+        }, emptyPnl());
+        
+        res.json({
+            success: true,
+            data: {
+                period,
+                currency: userBaseCurrency(req.user.userId),
+                missingExchangeRates: Array.from(new Set(entries.flatMap(entry => entry.missingExchangeRates))).sort(),
+                rollup,
+                [rollup === 'work' ? 'works' : 'books']: entries,
+                totals
+            }
+        });
+        
+    } catch (error) {
+        console.error('P&L error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute profit and loss'
+        });
+    }
+});
+
+// P&L of one book with its production settings and expenses
+app.get('/api/books/:asin/pnl', requireSession, (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Book not found'
+            });
+        }
+        
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        // The book is chosen already, so the format and author filters do not apply
+        const [, book] = found;
+        res.json({
+            success: true,
+            data: {
+                period,
+                pnl: getBookPnl(req.user.userId, { ...period, format: null, author: null }).get(bookAsin(book)),
+                production: describeBookProduction(book)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Book P&L error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compute profit and loss'
+        });
+    }
+});
+
+// Update print specs per format and how expenses are treated
+app.put('/api/books/:asin/production', requireSession, async (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Book not found'
+            });
+        }
+        
+        const [key, book] = found;
+        const { printSpecs, expenseTreatment, amortizationMonths } = req.body || {};
+        const updated = { ...book };
+        
+        if (printSpecs !== undefined) {
+            for (const [format, spec] of Object.entries(printSpecs || {})) {
+                const problem = ['paperback', 'hardcover'].includes(format)
+                    ? validatePrintSpec(spec)
+                    : 'only paperback and hardcover are printed';
+                if (problem) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `printSpecs.${format}: ${problem}`
+                    });
+                }
+            }
+            updated.printSpecs = printSpecs || {};
+        }
+        if (expenseTreatment !== undefined) {
+            if (!EXPENSE_TREATMENTS.includes(expenseTreatment)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `expenseTreatment must be one of: ${EXPENSE_TREATMENTS.join(', ')}`
+                });
+            }
+            updated.expenseTreatment = expenseTreatment;
+        }
+        if (amortizationMonths !== undefined) {
+            if (!(Number.isInteger(amortizationMonths) && amortizationMonths > 0 && amortizationMonths <= 120)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'amortizationMonths must be a whole number from 1 to 120'
+                });
+            }
+            updated.amortizationMonths = amortizationMonths;
+        }
+        
+        appData.books.set(key, updated);
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            data: describeBookProduction(updated)
+        });
+        
+    } catch (error) {
+        console.error('Book production error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update book: ' + error.message
+        });
+    }
+});
+
+// Record a one-off production expense (amount in `currency`, default the base currency)
+app.post('/api/books/:asin/expenses', requireSession, async (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Book not found'
+            });
+        }
+        
+        const { category, amount, date, description } = req.body || {};
+        const currency = String(req.body?.currency || userBaseCurrency(req.user.userId)).toUpperCase();
+        
+        if (!EXPENSE_CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                success: false,
+                error: `category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`
+            });
+        }
+        if (!(typeof amount === 'number' && amount > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'amount must be a positive number'
+            });
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || toLedgerDate(date) !== date) {
+            return res.status(400).json({
+                success: false,
+                error: 'date must be a valid YYYY-MM-DD date'
+            });
+        }
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            return res.status(400).json({
+                success: false,
+                error: 'currency must be a 3-letter ISO code'
+            });
+        }
+        
+        const [key, book] = found;
+        const expense = {
+            expenseId: crypto.randomBytes(8).toString('hex'),
+            category,
+            amount,
+            currency,
+            date,
+            description: description ? String(description).substring(0, 200) : '',
+            createdAt: new Date().toISOString()
+        };
+        appData.books.set(key, { ...book, expenses: [...(book.expenses || []), expense] });
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            data: expense
+        });
+        
+    } catch (error) {
+        console.error('Book expense error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add expense: ' + error.message
+        });
+    }
+});
+
+app.delete('/api/books/:asin/expenses/:expenseId', requireSession, async (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        const expenses = found?.[1].expenses || [];
+        if (!expenses.some(expense => expense.expenseId === req.params.expenseId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Expense not found'
+            });
+        }
+        
+        const [key, book] = found;
+        appData.books.set(key, { ...book, expenses: expenses.filter(expense => expense.expenseId !== req.params.expenseId) });
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            message: 'Expense removed'
+        });
+        
+    } catch (error) {
+        console.error('Book expense error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove expense: ' + error.message
+        });
+    }
+});
+
+// BOOK DETAILS
+// What the book page shows for one ASIN and period: monthly royalties, ad
+// spend and KENP pages, the format and marketplace breakdown, the campaigns
+// advertising the book, its list price history and notes. Prices are entered
+// by hand, one entry per change, in the marketplace's currency.
+
+const BOOK_NOTES_MAX_LENGTH = 5000;
+
+function getBookDetails(userId, book, period) {
+    const asin = bookAsin(book);
+    const bookPeriod = { ...period, format: null, author: null };
+    const rows = queryLedger(userId, bookPeriod).filter(row => String(row.asin).toUpperCase() === asin);
+    const adRows = attributeAdRows(userId, bookPeriod).filter(entry => entry.asin === asin);
+
+    const bucket = (map, key, fields) => {
+        if (!map.has(key)) map.set(key, { ...fields, royalties: 0, units: 0, freeUnits: 0, kenpPages: 0, spend: 0, sales: 0 });
+        return map.get(key);
+    };
+    const months = new Map();
+    const formats = new Map();
+    const marketplaces = new Map();
+
+    rows.forEach(row => {
+        const targets = [
+            bucket(months, row.date.substring(0, 7), { month: row.date.substring(0, 7) }),
+            bucket(formats, row.format, { format: row.format }),
+            bucket(marketplaces, row.marketplace, { marketplace: row.marketplace })
+        ];
+        targets.forEach(target => {
+            target.royalties += row.royalties + row.kenpRoyalties;
+            target.units += row.units;
+            target.freeUnits += row.freeUnits;
+            target.kenpPages += row.kenpPages;
+        });
+    });
+    adRows.forEach(entry => {
+        [bucket(months, entry.date.substring(0, 7), { month: entry.date.substring(0, 7) }), bucket(marketplaces, entry.marketplace, { marketplace: entry.marketplace })]
+            .forEach(target => {
+                target.spend += entry.spend;
+                target.sales += entry.sales;
+            });
+    });
+
+    // Every campaign advertising the book, with its spend on the book for the period
+    const records = new Map(Array.from(appData.ads.values())
+        .filter(ad => ad.userId === userId && !ad.date && (ad.entity || 'campaign') === 'campaign')
+        .map(ad => [String(ad.campaignId), ad]));
+    const campaigns = new Map();
+    const campaign = key => {
+        if (!campaigns.has(key)) {
+            const record = records.get(key);
+            campaigns.set(key, {
+                campaignId: key,
+                name: record?.name || null,
+                state: record?.state || null,
+                marketplace: record?.marketplace || null,
+                ...Object.fromEntries(AD_BOOK_METRICS.map(metric => [metric, 0]))
+            });
+        }
+        return campaigns.get(key);
+    };
+    advertisedAsins(userId).byCampaign.forEach((asins, key) => {
+        if (asins.has(asin)) campaign(key);
+    });
+    adRows.forEach(entry => {
+        const target = campaign(String(entry.campaignKey));
+        target.marketplace = target.marketplace || entry.marketplace;
+        AD_BOOK_METRICS.forEach(metric => {
+            target[metric] += entry[metric];
+        });
+    });
+    const names = new Map(adPerformanceRows(userId)
+        .filter(row => row.campaignName)
+        .map(row => [String(row.campaignKey), row.campaignName]));
+
+    const ledgerTotals = summarizeLedgerRows(rows);
+    const byRoyalties = (a, b) => b.royalties - a.royalties || b.spend - a.spend;
+    return {
+        book: {
+            asin,
+            title: book.title || null,
+            author: book.author || null,
+            format: book.format || null,
+            publicationDate: book.publicationDate || null,
+            series: book.series || null,
+            seriesNumber: book.seriesNumber ?? null,
+            workId: workIndex(userId).get(asin)?.workId || null,
+            notes: book.notes || ''
+        },
+        missingExchangeRates: missingFxCurrencies(rows),
+        totals: {
+            royalties: ledgerTotals.totalRoyalties,
+            units: ledgerTotals.units,
+            freeUnits: ledgerTotals.freeUnits,
+            kenpPages: ledgerTotals.kenpPages,
+            spend: adRows.reduce((sum, entry) => sum + entry.spend, 0)
+        },
+        pnl: getBookPnl(userId, bookPeriod).get(asin),
+        monthly: Array.from(months.values()).sort((a, b) => a.month.localeCompare(b.month)),
+        byFormat: Array.from(formats.values()).sort(byRoyalties),
+        byMarketplace: Array.from(marketplaces.values()).sort(byRoyalties),
+        campaigns: Array.from(campaigns.values())
+            .map(entry => ({
+                ...entry,
+                name: entry.name || names.get(entry.campaignId) || null,
+                acos: ratio(entry.spend, entry.sales),
+                roas: ratio(entry.sales, entry.spend)
+            }))
+            .sort((a, b) => b.spend - a.spend),
+        prices: (book.priceHistory || []).slice().sort((a, b) => b.date.localeCompare(a.date))
+    };
+}
+
+app.get('/api/books/:asin/details', requireSession, (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Book not found'
+            });
+        }
+        
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                period,
+                currency: userBaseCurrency(req.user.userId),
+                ...getBookDetails(req.user.userId, found[1], period)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Book details error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load book details'
+        });
+    }
+});
+
+// Record a list price change
+app.post('/api/books/:asin/prices', requireSession, async (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Book not found'
+            });
+        }
+        
+        const [key, book] = found;
+        const { price, date } = req.body || {};
+        const marketplace = String(req.body?.marketplace || '').toUpperCase();
+        const format = req.body?.format || normalizeFormat(book.format);
+        const currency = String(req.body?.currency || MARKETPLACE_CURRENCIES[marketplace] || '').toUpperCase();
+        
+        if (!MARKETPLACE_CURRENCIES[marketplace]) {
+            return res.status(400).json({
+                success: false,
+                error: `marketplace must be one of: ${Object.keys(MARKETPLACE_CURRENCIES).join(', ')}`
+            });
+        }
+        if (!LEDGER_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of: ${LEDGER_FORMATS.join(', ')}`
+            });
+        }
+        if (!(typeof price === 'number' && price >= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'price must be a number of at least 0'
+            });
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || toLedgerDate(date) !== date) {
+            return res.status(400).json({
+                success: false,
+                error: 'date must be a valid YYYY-MM-DD date'
+            });
+        }
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            return res.status(400).json({
+                success: false,
+                error: 'currency must be a 3-letter ISO code'
+            });
+        }
+        
+        const entry = {
+            priceId: crypto.randomBytes(8).toString('hex'),
+            date,
+            marketplace,
+            format,
+            price,
+            currency,
+            createdAt: new Date().toISOString()
+        };
+        appData.books.set(key, { ...book, priceHistory: [...(book.priceHistory || []), entry] });
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            data: entry
+        });
+        
+    } catch (error) {
+        console.error('Book price error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record price: ' + error.message
+        });
+    }
+});
+
+app.delete('/api/books/:asin/prices/:priceId', requireSession, async (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        const prices = found?.[1].priceHistory || [];
+        if (!prices.some(entry => entry.priceId === req.params.priceId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Price not found'
+            });
+        }
+        
+        const [key, book] = found;
+        appData.books.set(key, { ...book, priceHistory: prices.filter(entry => entry.priceId !== req.params.priceId) });
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            message: 'Price removed'
+        });
+        
+    } catch (error) {
+        console.error('Book price error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove price: ' + error.message
+        });
+    }
+});
+
+// SERIES AND PEN NAMES
+// Books are grouped by their `series` and `author` (pen name) fields. A
+// series volume is every book sharing a series number, so the ebook and print
+// editions of a volume count together. Read-through compares each volume's
+// units and full reads (KENP pages / the book's KENPC page count, `kenpcV3`)
+// with volume 1 and with the volume before it.
+
+const CATALOG_METRICS = ['royalties', 'units', 'kenpPages', 'fullReads', 'spend'];
+
+function emptyCatalogTotals() {
+    return Object.fromEntries(CATALOG_METRICS.map(metric => [metric, 0]));
+}
+
+function addCatalogTotals(target, totals) {
+    CATALOG_METRICS.forEach(metric => {
+        target[metric] += totals[metric];
+    });
+    return target;
+}
+
+// Period totals of each of a user's books, full reads included when its KENPC is known
+function catalogMembers(userId, period) {
+    const totals = new Map();
+    const entry = asin => {
+        if (!totals.has(asin)) totals.set(asin, emptyCatalogTotals());
+        return totals.get(asin);
+    };
+
+    queryLedger(userId, period).forEach(row => {
+        const book = entry(String(row.asin).toUpperCase());
+        book.royalties += row.royalties + row.kenpRoyalties;
+        book.units += row.units;
+        book.kenpPages += row.kenpPages;
+    });
+    attributeAdRows(userId, period).forEach(row => {
+        if (row.asin) entry(row.asin).spend += row.spend;
+    });
+
+    return Array.from(appData.books.values())
+        .filter(book => book.userId === userId && matchesBookFilters(book, period))
+        .map(book => {
+            const asin = bookAsin(book);
+            const kenpc = Number(book.kenpcV3) > 0 ? Number(book.kenpcV3) : null;
+            const bookTotals = { ...(totals.get(asin) || emptyCatalogTotals()) };
+            bookTotals.fullReads = kenpc ? bookTotals.kenpPages / kenpc : 0;
+            return {
+                asin,
+                title: book.title || null,
+                format: book.format || null,
+                author: String(book.author || '').trim() || null,
+                series: String(book.series || '').trim() || null,
+                seriesNumber: typeof book.seriesNumber === 'number' ? book.seriesNumber : null,
+                kenpcV3: kenpc,
+                ...bookTotals
+            };
+        });
+}
+
+// Read-through from `from` to `to` volume totals (null when `from` has none)
+function readThrough(from, to) {
+    return {
+        units: ratio(to.units, from.units),
+        fullReads: ratio(to.fullReads, from.fullReads),
+        combined: ratio(to.units + to.fullReads, from.units + from.fullReads)
+    };
+}
+
+function getSeriesAnalytics(userId, period) {
+    const series = new Map();
+    catalogMembers(userId, period).filter(member => member.series).forEach(member => {
+        if (!series.has(member.series)) series.set(member.series, { series: member.series, members: [] });
+        series.get(member.series).members.push(member);
+    });
+
+    return Array.from(series.values())
+        .map(({ series: name, members }) => {
+            const volumes = new Map();
+            members.filter(member => member.seriesNumber !== null).forEach(member => {
+                if (!volumes.has(member.seriesNumber)) {
+                    volumes.set(member.seriesNumber, { number: member.seriesNumber, asins: [], ...emptyCatalogTotals() });
+                }
+                const volume = volumes.get(member.seriesNumber);
+                volume.asins.push(member.asin);
+                addCatalogTotals(volume, member);
+            });
+
+            const ordered = Array.from(volumes.values()).sort((a, b) => a.number - b.number);
+            const first = ordered[0];
+            ordered.forEach((volume, index) => {
+                volume.readThrough = {
+                    fromFirst: readThrough(first, volume),
+                    fromPrevious: index === 0 ? null : readThrough(ordered[index - 1], volume)
+                };
+            });
+
+            // Royalties the whole series earns per copy of the first volume sold or read in full
+            const valuePerFirstVolumeReader = first && first.units + first.fullReads > 0
+                ? ordered.reduce((sum, volume) => {
+                    const consumed = volume.units + volume.fullReads;
+                    return consumed ? sum + (volume.royalties / consumed) * volume.readThrough.fromFirst.combined : sum;
+                }, 0)
+                : null;
+
+            return {
+                series: name,
+                authors: Array.from(new Set(members.map(member => member.author).filter(Boolean))),
+                ...members.reduce(addCatalogTotals, emptyCatalogTotals()),
+                valuePerFirstVolumeReader,
+                volumes: ordered,
+                unnumbered: members.filter(member => member.seriesNumber === null).map(member => member.asin),
+                missingKenpc: members.filter(member => member.kenpPages > 0 && !member.kenpcV3).map(member => member.asin),
+                members: members.sort((a, b) => (a.seriesNumber ?? Infinity) - (b.seriesNumber ?? Infinity))
+            };
+        })
+        .sort((a, b) => b.royalties - a.royalties);
+}
+
+function getPenNameAnalytics(userId, period) {
+    const penNames = new Map();
+    catalogMembers(userId, period).forEach(member => {
+        const key = member.author || '';
+        if (!penNames.has(key)) {
+            penNames.set(key, { author: member.author, books: 0, series: new Set(), ...emptyCatalogTotals() });
+        }
+        const penName = penNames.get(key);
+        penName.books++;
+        if (member.series) penName.series.add(member.series);
+        addCatalogTotals(penName, member);
+    });
+
+    return Array.from(penNames.values())
+        .map(penName => ({ ...penName, series: Array.from(penName.series), netAfterAds: penName.royalties - penName.spend }))
+        .sort((a, b) => b.royalties - a.royalties);
+}
+
+// Catalog metadata of a book: series, pen name, KENPC page count and publication date
+app.patch('/api/books/:asin', requireSession, async (req, res) => {
+    try {
+        const found = findUserBook(req.user.userId, req.params.asin);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: 'Book not found'
+            });
+        }
+        
+        const [key, book] = found;
+        const { series, seriesNumber, author, kenpcV3, publicationDate, notes } = req.body || {};
+        const updated = { ...book };
+        
+        if (series !== undefined) {
+            updated.series = series ? String(series).trim().substring(0, 200) : '';
+        }
+        if (seriesNumber !== undefined) {
+            if (!(seriesNumber === null || (typeof seriesNumber === 'number' && seriesNumber > 0))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'seriesNumber must be a positive number or null'
+                });
+            }
+            updated.seriesNumber = seriesNumber;
+        }
+        if (author !== undefined) {
+            updated.author = author ? String(author).trim().substring(0, 200) : '';
+        }
+        if (kenpcV3 !== undefined) {
+            if (!(Number.isInteger(kenpcV3) && kenpcV3 >= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'kenpcV3 must be a whole number of pages'
+                });
+            }
+            updated.kenpcV3 = kenpcV3;
+        }
+        if (publicationDate !== undefined) {
+            const date = parsePublicationDate(publicationDate);
+            if (!date) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'publicationDate must be a valid YYYY-MM-DD date'
+                });
+            }
+            updated.publicationDate = date;
+        }
+        if (notes !== undefined) {
+            updated.notes = notes ? String(notes).substring(0, BOOK_NOTES_MAX_LENGTH) : '';
+        }
+        
+        appData.books.set(key, updated);
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            data: updated
+        });
+        
+    } catch (error) {
+        console.error('Book update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update book: ' + error.message
+        });
+    }
+});
+
+// Series totals, volumes and read-through for a period
+app.get('/api/analytics/series', requireSession, (req, res) => {
+    try {
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                period,
+                currency: userBaseCurrency(req.user.userId),
+                series: getSeriesAnalytics(req.user.userId, period)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Series analytics error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate series analytics'
+        });
+    }
+});
+
+// Totals per pen name for a period
+app.get('/api/analytics/pen-names', requireSession, (req, res) => {
+    try {
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                period,
+                currency: userBaseCurrency(req.user.userId),
+                penNames: getPenNameAnalytics(req.user.userId, period)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Pen name analytics error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate pen name analytics'
+        });
+    }
+});
+
+// WORKS AND EDITIONS
+// A work is one title in all its formats: its editions are catalog entries
+// (the ebook, paperback and hardcover ASINs; requests may also name an
+// edition by its ISBN). Editions are only linked once the user confirms it.
+// Books whose titles (format words aside) and authors match are offered as
+// suggestions. Analytics accept `rollup=work` to combine the editions of each
+// work into one entry that still lists them; books outside any work stand alone.
+
+const WORK_ROLLUPS = ['edition', 'work'];
+const WORK_FORMAT_WORDS = /\b(kindle|e-?book|paperback|hardcover|hardback|large print)(\s+edition)?\b/g;
+const BOOK_AD_TOTAL_FIELDS = ['adImpressions', 'adClicks', 'adSpend', 'adOrders', 'adSales'];
+
+// Validate the optional rollup ('edition' or 'work') of an analytics request
+function parseRollup(query) {
+    const rollup = query.rollup || 'edition';
+    if (!WORK_ROLLUPS.includes(rollup)) {
+        return { error: `rollup must be one of: ${WORK_ROLLUPS.join(', ')}` };
+    }
+    return { rollup };
+}
+
+function userWorks(userId) {
+    return Array.from(appData.works.values()).filter(work => work.userId === userId);
+}
+
+// A user's books by ASIN
+function userCatalog(userId) {
+    return new Map(Array.from(appData.books.values())
+        .filter(book => book.userId === userId)
+        .map(book => [bookAsin(book), book]));
+}
+
+// Work of every linked ASIN
+function workIndex(userId) {
+    const index = new Map();
+    userWorks(userId).forEach(work => work.asins.forEach(asin => index.set(asin, work)));
+    return index;
+}
+
+function normalizeIdentifier(value) {
+    return String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// Title without format words and punctuation, shared by a title's editions
+function workTitleKey(title) {
+    return String(title || '').toLowerCase()
+        .replace(WORK_FORMAT_WORDS, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function workAuthorKey(author) {
+    return String(author || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function workSuggestionKey(asins) {
+    return [...asins].sort().join(',');
+}
+
+function describeEdition(book) {
+    return {
+        asin: bookAsin(book),
+        isbn: book.isbn || null,
+        format: book.format ? normalizeFormat(book.format) : null,
+        title: book.title || null
+    };
+}
+
+// A work with its editions; ASINs that left the catalog are skipped
+function describeWork(work, catalog) {
+    const editions = work.asins.filter(asin => catalog.has(asin)).map(asin => describeEdition(catalog.get(asin)));
+    return {
+        workId: work.workId,
+        title: work.title,
+        author: work.author || null,
+        editions,
+        isbns: editions.map(edition => edition.isbn).filter(Boolean),
+        createdAt: work.createdAt,
+        updatedAt: work.updatedAt
+    };
+}
+
+// Groups of two or more books sharing a title key and author (books without
+// an author join the title's only author) that include a book outside any
+// work. When the other books already form a work, the suggestion is to add
+// to it. Dismissed groups come back once their editions change.
+function suggestWorks(userId) {
+    const dismissed = new Set(appData.users.get(userId)?.dismissedWorkSuggestions || []);
+    const index = workIndex(userId);
+    const byTitle = new Map();
+    Array.from(appData.books.values())
+        .filter(book => book.userId === userId)
+        .forEach(book => {
+            const key = workTitleKey(book.title);
+            if (!key) return;
+            if (!byTitle.has(key)) byTitle.set(key, []);
+            byTitle.get(key).push(book);
+        });
+
+    const suggestions = [];
+    byTitle.forEach(books => {
+        const authors = Array.from(new Set(books.map(book => workAuthorKey(book.author)).filter(Boolean)));
+        const groups = new Map();
+        books.forEach(book => {
+            const author = workAuthorKey(book.author) || (authors.length === 1 ? authors[0] : '');
+            if (!groups.has(author)) groups.set(author, []);
+            groups.get(author).push(book);
+        });
+
+        groups.forEach(group => {
+            const asins = group.map(bookAsin);
+            const workIds = new Set(asins.filter(asin => index.has(asin)).map(asin => index.get(asin).workId));
+            if (asins.length < 2 || asins.every(asin => index.has(asin)) || workIds.size > 1) return;
+            if (dismissed.has(workSuggestionKey(asins))) return;
+
+            const work = workIds.size ? appData.works.get([...workIds][0]) : null;
+            suggestions.push({
+                workId: work?.workId || null,
+                title: work?.title || group[0].title,
+                author: work?.author || group.find(book => book.author)?.author || null,
+                editions: group.map(describeEdition)
+            });
+        });
+    });
+
+    return suggestions.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+}
+
+// Catalog ASINs named by a list of ASINs or ISBNs, or an error message
+function resolveEditions(userId, identifiers) {
+    if (!Array.isArray(identifiers)) {
+        return { error: 'editions must be a list of ASINs or ISBNs' };
+    }
+
+    const books = Array.from(userCatalog(userId).values());
+    const asins = [];
+    for (const identifier of identifiers) {
+        const wanted = normalizeIdentifier(identifier);
+        const book = wanted && books.find(candidate => bookAsin(candidate) === wanted || normalizeIdentifier(candidate.isbn) === wanted);
+        if (!book) return { error: `Unknown edition: ${identifier}` };
+        if (!asins.includes(bookAsin(book))) asins.push(bookAsin(book));
+    }
+
+    if (asins.length < 2) {
+        return { error: 'editions must name at least two different books' };
+    }
+    return { asins };
+}
+
+// Store a work with these editions, taking them out of other works. A work
+// left with a single edition has nothing to combine and is removed.
+function linkEditions(userId, work, asins) {
+    const now = new Date().toISOString();
+    userWorks(userId).forEach(other => {
+        if (other.workId === work.workId) return;
+        const remaining = other.asins.filter(asin => !asins.includes(asin));
+        if (remaining.length === other.asins.length) return;
+        if (remaining.length < 2) {
+            appData.works.delete(other.workId);
+        } else {
+            appData.works.set(other.workId, { ...other, asins: remaining, updatedAt: now });
+        }
+    });
+
+    const updated = { ...work, asins, updatedAt: now };
+    appData.works.set(work.workId, updated);
+    return updated;
+}
+
+function sumFields(entries, fields) {
+    return Object.fromEntries(fields.map(field => [field, entries.reduce((sum, entry) => sum + (entry[field] || 0), 0)]));
+}
+
+// One entry per work from per-edition entries (each with an `asin`): the
+// work's id, title and ASINs, the fields `merge(editions)` returns, and the
+// edition entries themselves. Entries of books outside any work stay single.
+function rollUpEditions(userId, entries, merge) {
+    const index = workIndex(userId);
+    const groups = new Map();
+    entries.forEach(entry => {
+        const work = index.get(String(entry.asin).toUpperCase()) || null;
+        const key = work ? work.workId : `asin:${entry.asin}`;
+        if (!groups.has(key)) groups.set(key, { work, editions: [] });
+        groups.get(key).editions.push(entry);
+    });
+
+    return Array.from(groups.values()).map(({ work, editions }) => ({
+        workId: work?.workId || null,
+        title: work?.title || editions[0].title || null,
+        asins: editions.map(edition => edition.asin),
+        ...merge(editions),
+        editions
+    }));
+}
+
+// Dashboard book totals (see getBooksWithTotals) combined per work
+function rollUpBookTotals(userId, books) {
+    return rollUpEditions(userId, books, editions => {
+        const totals = sumFields(editions, [...Object.keys(emptyBookTotals()), ...BOOK_AD_TOTAL_FIELDS]);
+        return { ...totals, adMetrics: bookAdMetrics(totals) };
+    });
+}
+
+// Works with their editions, and suggested links
+app.get('/api/works', requireSession, (req, res) => {
+    try {
+        const { userId } = req.user;
+        const catalog = userCatalog(userId);
+        
+        res.json({
+            success: true,
+            data: {
+                works: userWorks(userId)
+                    .map(work => describeWork(work, catalog))
+                    .sort((a, b) => a.title.localeCompare(b.title)),
+                suggestions: suggestWorks(userId)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Works error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load works'
+        });
+    }
+});
+
+// Link editions (ASINs or ISBNs) into a new work
+app.post('/api/works', requireSession, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { editions, title, author } = req.body || {};
+        const resolved = resolveEditions(userId, editions);
+        if (resolved.error) {
+            return res.status(400).json({
+                success: false,
+                error: resolved.error
+            });
+        }
+        
+        const first = userCatalog(userId).get(resolved.asins[0]);
+        const now = new Date().toISOString();
+        const work = linkEditions(userId, {
+            workId: crypto.randomBytes(8).toString('hex'),
+            userId,
+            title: String(title || first.title || resolved.asins[0]).trim().substring(0, 200),
+            author: String(author || first.author || '').trim().substring(0, 200),
+            createdAt: now
+        }, resolved.asins);
+        
+        logSyncActivity('WORKS', `Linked ${work.asins.length} editions as "${work.title}"`, userId);
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            data: describeWork(work, userCatalog(userId))
+        });
+        
+    } catch (error) {
+        console.error('Works error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to link editions: ' + error.message
+        });
+    }
+});
+
+// Rename a work or replace its editions
+app.patch('/api/works/:workId', requireSession, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const work = appData.works.get(req.params.workId);
+        if (!work || work.userId !== userId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Work not found'
+            });
+        }
+        
+        const { editions, title, author } = req.body || {};
+        let asins = work.asins;
+        if (editions !== undefined) {
+            const resolved = resolveEditions(userId, editions);
+            if (resolved.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: resolved.error
+                });
+            }
+            asins = resolved.asins;
+        }
+        if (title !== undefined && !String(title || '').trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'title must not be empty'
+            });
+        }
+        
+        const updated = linkEditions(userId, {
+            ...work,
+            title: title !== undefined ? String(title).trim().substring(0, 200) : work.title,
+            author: author !== undefined ? String(author || '').trim().substring(0, 200) : work.author
+        }, asins);
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            data: describeWork(updated, userCatalog(userId))
+        });
+        
+    } catch (error) {
+        console.error('Works error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update work: ' + error.message
+        });
+    }
+});
+
+// Unlink a work's editions; they become separate books again
+app.delete('/api/works/:workId', requireSession, async (req, res) => {
+    try {
+        const work = appData.works.get(req.params.workId);
+        if (!work || work.userId !== req.user.userId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Work not found'
+            });
+        }
+        
+        appData.works.delete(work.workId);
+        logSyncActivity('WORKS', `Unlinked the editions of "${work.title}"`, req.user.userId);
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            message: 'Work removed'
+        });
+        
+    } catch (error) {
+        console.error('Works error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove work: ' + error.message
+        });
+    }
+});
+
+// Hide a suggestion (by its editions) until the books it groups change
+app.post('/api/works/suggestions/dismiss', requireSession, async (req, res) => {
+    try {
+        const { user } = req;
+        const resolved = resolveEditions(user.userId, (req.body || {}).editions);
+        if (resolved.error) {
+            return res.status(400).json({
+                success: false,
+                error: resolved.error
+            });
+        }
+        
+        const dismissed = new Set(user.dismissedWorkSuggestions || []);
+        dismissed.add(workSuggestionKey(resolved.asins));
+        appData.users.set(user.userId, { ...user, dismissedWorkSuggestions: Array.from(dismissed) });
+        await saveDataToDisk();
+        
+        res.json({
+            success: true,
+            message: 'Suggestion dismissed'
+        });
+        
+    } catch (error) {
+        console.error('Works error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to dismiss suggestion: ' + error.message
+        });
+    }
+});
+
+// ENHANCED KDP INTEGRATION
+
+// Authenticate with Amazon KDP (Enhanced)
+async function authenticateKDP(email, password, mfaCode = null) {
+    try {
+        console.log('🔐 Authenticating with Amazon KDP...');
+        
+        // Simulate authentication process (in real implementation, use actual KDP API)
+        // This is a placeholder for the actual authentication logic
+        const mockCredentials = {
+            sessionId: crypto.randomBytes(16).toString('hex'),
+            sessionToken: crypto.randomBytes(32).toString('hex'),
+            cookies: `session-id=${crypto.randomBytes(16).toString('hex')}; session-token=${crypto.randomBytes(32).toString('hex')}`,
+            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        };
+        
+        return {
+            success: true,
+            credentials: mockCredentials
+        };
+        
+    } catch (error) {
+        console.error('KDP authentication error:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// KDP has no API to sync from yet: the sample book below is only stored, and
+// booked into the ledger, when ENABLE_MOCK_KDP_SYNC=true for development
+function mockKdpSyncEnabled() {
+    return process.env.ENABLE_MOCK_KDP_SYNC === 'true';
+}
+
+// Perform full sync (KDP + Amazon Ads)
+async function performFullSync(userId) {
+    try {
+        const user = appData.users.get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        
+        const results = {
+            books: [],
+            ads: [],
+            totalRevenue: 0,
+            totalSpending: 0
+        };
+        
+        // Sync KDP data
+        if (user.kdpCredentials && mockKdpSyncEnabled()) {
+            console.log(`📚 Syncing KDP data for user ${userId}...`);
+            
+            // In a real implementation, this would fetch from actual KDP API
+            // using openCredentials(user.kdpCredentials)
+            // For now, we'll use mock data based on the examples from the images
+            const mockBooks = [
+                {
+                    id: 'B0BWFC3554',
+                    title: 'Empath and Psychic Abilities: A Survival Guide for Highly Sensitive People to Tap into Your Hidden Inner Power and Enhance It with Practical Exercises',
+                    asin: 'B0BWFC3554',
+                    author: 'Chandra Chakshi',
+                    publicationDate: '21/02/2023',
+                    format: 'Ebook',
+                    paperbackSales: 0,
+                    paperbackRoyalties: 0.00,
+                    ebookSales: 1,
+                    ebookRoyalties: 0.98,
+                    hardcoverSales: 0,
+                    hardcoverRoyalties: 0.00,
+                    kenpReads: 238,
+                    kenpRoyalties: 0.98,
+                    totalSales: 1,
+                    totalRoyalties: 0.98,
+                    country: 'US',
+                    userId: userId,
+                    lastUpdated: new Date().toISOString()
+                }
+            ];
+            
+            // Store books (keeping user-entered production data) and the growth of
+            // their month-to-date figures in the ledger
+            const today = toLedgerDate();
+            mockBooks.forEach(book => {
+                const existing = findUserBook(userId, book.id)?.[1];
+                
+                const record = { ...existing, ...book };
+                const snapshot = ledgerRowsFromSnapshot(record, ledgerRowsFromBook(book, { userId, date: today, source: 'kdp_sync' }), {
+                    period: today.substring(0, 7),
+                    date: today
+                });
+                saveUserBook(userId, book.id, { ...record, ledgerSnapshots: snapshot.snapshots });
+                recordLedgerRows(snapshot.rows);
+                results.books.push(book);
+                results.totalRevenue += book.totalRoyalties || 0;
+            });
+        }
+        
+        // Sync Amazon Ads data
+        if (user.adsCredentials) {
+            console.log(`📊 Syncing Amazon Ads data for user ${userId}...`);
+            
+            try {
+                const adsClient = createAmazonAdsClient(userId);
+                const adsData = await fetchAmazonAdsData(adsClient);
+                
+                adsData.forEach(ad => {
+                    const processedAd = {
+                        ...ad,
+                        userId: userId,
+                        source: 'ads_api',
+                        lastUpdated: new Date().toISOString()
+                    };
+                    
+                    appData.ads.set(adStructureKey(userId, ad.entity, ad.entityId), processedAd);
+                    if (ad.entity === 'campaign') {
+                        // Campaigns used to be stored under their bare id
+                        appData.ads.delete(ad.entityId);
+                        results.ads.push(processedAd);
+                    }
+                });
+                
+                results.adReports = await syncAmazonAdsReports(userId, adsClient);
+                results.adReports.errors?.forEach(({ profileId, level, error }) => {
+                    logSyncActivity('ADS_REPORT_ERROR', `${level} report for profile ${profileId} failed: ${error}`, userId);
+                });
+                
+            } catch (adsError) {
+                console.log('Amazon Ads sync failed (non-critical):', adsError.message);
+            }
+        }
+        
+        // Evaluated once everything is stored, with the rules as saved now: rules
+        // added while the sync was waiting on reports apply to this run too
+        results.newAlerts = evaluateAlerts(userId).length;
+        
+        return results;
+        
+    } catch (error) {
+        console.error('Full sync error:', error);
+        throw error;
+    }
+}
+
+// AUTO-SYNC SCHEDULER
+cron.schedule('*/10 * * * *', async () => {
+    if (!appData.settings.autoSync) return;
+    
+    console.log('🔄 Running scheduled auto-sync...');
+    
+    for (const userId of Array.from(appData.users.keys())) {
+        if (appData.users.get(userId)?.settings?.autoSync !== false) {
+            try {
+                await performFullSync(userId);
+                updateUser(userId, { lastSync: new Date().toISOString() });
+                logSyncActivity('AUTO_SYNC', 'Scheduled sync completed', userId);
+            } catch (error) {
+                logSyncActivity('ERROR', 'Scheduled sync failed', userId, error);
+            }
+        }
+    }
+    
+    await saveDataToDisk();
+});
+
+// ANALYTICS ENDPOINTS
+
+// Get analytics summary
+app.get('/api/analytics/summary', requireSession, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        
+        const period = resolvePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({
+                success: false,
+                error: period.error
+            });
+        }
+        
+        const { rollup, error } = parseRollup(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+        
+        const { books: userBooks, rows } = getBooksWithTotals(userId, period);
+        const { campaigns: userAds, rows: adRows } = getAdCampaignsWithTotals(userId, period);
+        const ledgerTotals = summarizeLedgerRows(rows);
+        const topEntries = rollup === 'work' ? rollUpBookTotals(userId, userBooks) : userBooks;
+        
+        const summary = {
+            period,
+            currency: userBaseCurrency(userId),
+            missingExchangeRates: missingFxCurrencies([...rows, ...adRows]),
+            totalBooks: userBooks.length,
+            totalRevenue: ledgerTotals.totalRoyalties,
+            totalSpending: totalAdSpend(userId, period, userBooks, userAds),
+            totalSales: ledgerTotals.units,
+            totalFreeUnits: ledgerTotals.freeUnits,
+            totalReads: ledgerTotals.kenpPages,
+            estimatedKenpRoyalties: ledgerTotals.estimatedKenpRoyalties,
+            rollup,
+            topBooks: topEntries
+                .sort((a, b) => (b.totalRoyalties || 0) - (a.totalRoyalties || 0))
+                .slice(0, 5),
+            monthlyTrends: generateMonthlyTrends(rows),
+            countryBreakdown: generateCountryBreakdown(rows)
+        };
+        
+        res.json({
+            success: true,
+            data: summary
+        });
+        
+    } catch (error) {
+        console.error('Analytics summary error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate analytics summary'
+        });
+    }
+});
+
+// Helper function to generate monthly trends (bucketed by sale date): the
+// last 12 months up to the latest sale, months without sales included
+function generateMonthlyTrends(rows) {
+    if (rows.length === 0) return [];
+
+    const months = (timeseriesBuckets(rows[0].date, rows[rows.length - 1].date, 'month') || []).slice(-12);
+    const trends = new Map(months.map(month => [month, { month, revenue: 0, sales: 0, reads: 0 }]));
+    
+    rows.forEach(row => {
+        const trend = trends.get(row.date.substring(0, 7));
+        if (!trend) return;
+        trend.revenue += row.royalties + row.kenpRoyalties;
+        trend.sales += row.units;
+        trend.reads += row.kenpPages;
+    });
+    
+    return Array.from(trends.values());
+}
+
+// Helper function to generate country breakdown. Revenue is in the user's
+// base currency; `original` holds the same revenue per original currency.
+function generateCountryBreakdown(rows) {
+    const countries = {};
+    
+    rows.forEach(row => {
+        const country = row.marketplace || 'Unknown';
+        if (!countries[country]) {
+            countries[country] = { revenue: 0, sales: 0, original: {} };
+        }
+        const { original } = row;
+        countries[country].revenue += row.royalties + row.kenpRoyalties;
+        countries[country].sales += row.units;
+        countries[country].original[original.currency] = (countries[country].original[original.currency] || 0)
+            + original.royalties + original.kenpRoyalties;
+    });
+    
+    return Object.entries(countries)
+        .map(([country, data]) => ({ country, ...data }))
+        .sort((a, b) => b.revenue - a.revenue);
+}
+
+// TIME SERIES
+// Ledger and attributed ad metrics bucketed by day, week (starting Monday),
+// month or quarter, money in the user's base currency. Monthly ledger rows fall in the bucket of their first day
+// inside the period. Ad spend of campaigns without known ASINs only shows up
+// in groups whose ASIN, format, author, series and work are null. The work of
+// a book outside any work is its ASIN.
+
+const TIMESERIES_GRANULARITIES = ['day', 'week', 'month', 'quarter'];
+const TIMESERIES_DIMENSIONS = ['asin', 'marketplace', 'format', 'author', 'series', 'work'];
+const TIMESERIES_MAX_BUCKETS = 1000;
+
+const TIMESERIES_METRICS = {
+    royalties: { source: 'ledger', value: row => row.royalties + row.kenpRoyalties },
+    units: { source: 'ledger', value: row => row.units },
+    freeUnits: { source: 'ledger', value: row => row.freeUnits },
+    kenpPages: { source: 'ledger', value: row => row.kenpPages },
+    spend: { source: 'ads', value: row => row.spend },
+    orders: { source: 'ads', value: row => row.orders }
+};
+
+// Bucket label of a YYYY-MM-DD date: the date, the week's Monday, YYYY-MM or YYYY-Qn
+function timeseriesBucket(date, granularity) {
+    if (granularity === 'week') {
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+        return day.toISOString().substring(0, 10);
+    }
+    if (granularity === 'month') return date.substring(0, 7);
+    if (granularity === 'quarter') return `${date.substring(0, 4)}-Q${Math.ceil(Number(date.substring(5, 7)) / 3)}`;
+    return date;
+}
+
+// Every bucket from startDate to endDate, or null when there would be too many
+function timeseriesBuckets(startDate, endDate, granularity) {
+    const buckets = [];
+    const day = new Date(`${startDate}T00:00:00Z`);
+
+    for (let date = startDate; date <= endDate; date = day.toISOString().substring(0, 10)) {
+        const bucket = timeseriesBucket(date, granularity);
+        if (buckets[buckets.length - 1] !== bucket) {
+            if (buckets.length === TIMESERIES_MAX_BUCKETS) return null;
+            buckets.push(bucket);
+        }
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    return buckets;
+}
+
+// Validate a timeseries query; list parameters are comma separated
+function parseTimeseriesQuery(query) {
+    const period = resolvePeriod(query);
+    if (period.error) return period;
+
+    const list = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    const granularity = query.granularity || 'day';
+    const metrics = query.metrics ? list(query.metrics) : Object.keys(TIMESERIES_METRICS);
+    const groupBy = list(query.groupBy);
+
+    if (!TIMESERIES_GRANULARITIES.includes(granularity)) {
+        return { error: `granularity must be one of: ${TIMESERIES_GRANULARITIES.join(', ')}` };
+    }
+    const unknownMetric = metrics.find(metric => !TIMESERIES_METRICS[metric]);
+    if (unknownMetric || metrics.length === 0) {
+        return { error: `metrics must be a list of: ${Object.keys(TIMESERIES_METRICS).join(', ')}` };
+    }
+    const unknownDimension = groupBy.find(dimension => !TIMESERIES_DIMENSIONS.includes(dimension));
+    if (unknownDimension) {
+        return { error: `groupBy must be a list of: ${TIMESERIES_DIMENSIONS.join(', ')}` };
+    }
+
+    return { period, granularity, metrics, groupBy: Array.from(new Set(groupBy)) };
+}
+
+function buildTimeseries(userId, { period, granularity, metrics, groupBy }) {
+    const catalog = new Map(Array.from(appData.books.values())
+        .filter(book => book.userId === userId)
+        .map(book => [String(book.asin || book.id).toUpperCase(), book]));
+    const works = workIndex(userId);
+
+    // Ledger rows and attributed ad rows as [source, row] pairs
+    const sources = new Set(metrics.map(metric => TIMESERIES_METRICS[metric].source));
+    const entries = [
+        ...(sources.has('ledger') ? queryLedger(userId, period).map(row => ['ledger', row]) : []),
+        ...(sources.has('ads') ? attributeAdRows(userId, period).map(row => ['ads', row]) : [])
+    ];
+
+    const dimensionValue = (row, dimension) => {
+        if (dimension === 'asin' || dimension === 'marketplace') return row[dimension] || null;
+        const book = row.asin ? catalog.get(String(row.asin).toUpperCase()) : null;
+        if (dimension === 'format') return row.format || (book?.format ? normalizeFormat(book.format) : null);
+        if (dimension === 'work') return book ? works.get(bookAsin(book))?.workId || bookAsin(book) : null;
+        return book?.[dimension] || null;
+    };
+    const rowDate = row => (period.startDate && row.date < period.startDate ? period.startDate : row.date);
+
+    const dates = entries.map(([, row]) => rowDate(row)).sort();
+    const startDate = period.startDate || dates[0];
+    const endDate = period.endDate || dates[dates.length - 1];
+    const buckets = startDate ? timeseriesBuckets(startDate, endDate, granularity) : [];
+    if (!buckets) {
+        return { error: `Too many ${granularity} buckets: narrow the date range or use a coarser granularity` };
+    }
+
+    const bucketIndex = new Map(buckets.map((bucket, index) => [bucket, index]));
+    const emptyTotals = () => Object.fromEntries(metrics.map(metric => [metric, 0]));
+    const groups = new Map();
+
+    entries.forEach(([source, row]) => {
+        const group = Object.fromEntries(groupBy.map(dimension => [dimension, dimensionValue(row, dimension)]));
+        const groupKey = JSON.stringify(group);
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { group, points: buckets.map(bucket => ({ bucket, ...emptyTotals() })), totals: emptyTotals() });
+        }
+
+        const series = groups.get(groupKey);
+        const point = series.points[bucketIndex.get(timeseriesBucket(rowDate(row), granularity))];
+        metrics.filter(metric => TIMESERIES_METRICS[metric].source === source).forEach(metric => {
+            const value = TIMESERIES_METRICS[metric].value(row);
+            point[metric] += value;
+            series.totals[metric] += value;
+        });
+    });
+
+    const series = Array.from(groups.values())
+        .sort((a, b) => b.totals[metrics[0]] - a.totals[metrics[0]]);
+    const totals = series.reduce((sum, { totals: groupTotals }) => {
+        metrics.forEach(metric => {
+            sum[metric] += groupTotals[metric];
+        });
+        return sum;
+    }, emptyTotals());
+
+    return {
+        period: { startDate: startDate || null, endDate: endDate || null },
+        currency: userBaseCurrency(userId),
+        missingExchangeRates: missingFxCurrencies(entries.map(([, row]) => row)),
+        granularity,
+        metrics,
+        groupBy,
+        buckets,
+        series,
+        totals
+    };
+}
+
+// Metrics over time, optionally split by one or more dimensions
+app.get('/api/analytics/timeseries', requireSession, (req, res) => {
+    try {
+        const query = parseTimeseriesQuery(req.query);
+        const timeseries = query.error ? query : buildTimeseries(req.user.userId, query);
+        if (timeseries.error) {
+            return res.status(400).json({
+                success: false,
+                error: timeseries.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: timeseries
+        });
+
+    } catch (error) {
+        console.error('Analytics timeseries error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate analytics timeseries'
+        });
+    }
+});
+
+// FORECASTING
+// Projections of daily royalties (paid and KENP, in the user's base currency),
+// enabled with ENABLE_PREDICTIVE_ANALYTICS=true. A series is modelled as a
+// level times a month-of-year factor times a weekday factor. Yearly factors
+// need a full year of history and stay 1 until then; the level is the
+// deseasonalized mean of the last FORECAST_LEVEL_DAYS days. Confidence bands
+// assume independent daily errors spread like the recent residuals. Monthly
+// ledger rows are spread evenly over the days of their month.
+
+const FORECAST_HORIZONS = [30, 90];
+const FORECAST_HISTORY_DAYS = 730;
+const FORECAST_LEVEL_DAYS = 28;
+const FORECAST_RESIDUAL_DAYS = 90;
+const FORECAST_CONFIDENCE = 0.8;
+const FORECAST_Z = 1.2816; // two-sided 80% normal quantile
+
+function predictiveAnalyticsEnabled() {
+    return process.env.ENABLE_PREDICTIVE_ANALYTICS === 'true';
+}
+
+function shiftDate(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().substring(0, 10);
+}
+
+function lastDayOfMonth(date) {
+    return shiftDate(addMonths(`${date.substring(0, 7)}-01`, 1), -1);
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Call visit(date, row, share) for each day a ledger row covers: daily rows
+// cover their date in full, monthly rows every day of their month evenly
+function forEachLedgerDay(rows, visit) {
+    rows.forEach(row => {
+        if (row.granularity !== 'month') return visit(row.date, row, 1);
+        const days = Number(lastDayOfMonth(row.date).substring(8));
+        for (let day = 0; day < days; day++) {
+            visit(shiftDate(row.date, day), row, 1 / days);
+        }
+    });
+}
+
+// Royalties per day from the series' first sale up to asOf, days without sales included
+function dailyRoyaltySeries(rows, startDate, asOf) {
+    const values = new Map();
+    forEachLedgerDay(rows, (date, row, share) => {
+        if (date < startDate || date > asOf) return;
+        values.set(date, (values.get(date) || 0) + (row.royalties + row.kenpRoyalties) * share);
+    });
+
+    const dates = Array.from(values.keys()).sort();
+    const series = [];
+    for (let date = dates[0]; date && date <= asOf; date = shiftDate(date, 1)) {
+        series.push({ date, value: values.get(date) || 0 });
+    }
+    return series;
+}
+
+function fitSeasonalModel(series) {
+    // Mean of each group relative to the mean of all values; groups seen
+    // fewer than minCount times keep a factor of 1
+    const factorsBy = (points, keyOf, minCount) => {
+        const overall = mean(points.map(point => point.value));
+        const groups = new Map();
+        points.forEach(point => {
+            const key = keyOf(point.date);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(point.value);
+        });
+        const factors = new Map();
+        groups.forEach((values, key) => {
+            factors.set(key, overall && values.length >= minCount ? mean(values) / overall : 1);
+        });
+        return key => (factors.has(key) ? factors.get(key) : 1);
+    };
+    const monthOf = date => date.substring(5, 7);
+    const weekdayOf = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    const yearly = series.length >= 365 ? factorsBy(series, monthOf, 28) : () => 1;
+    const weekday = factorsBy(
+        series.map(point => ({ date: point.date, value: yearly(monthOf(point.date)) ? point.value / yearly(monthOf(point.date)) : 0 })),
+        weekdayOf,
+        4
+    );
+    const factor = date => yearly(monthOf(date)) * weekday(weekdayOf(date));
+
+    // Deseasonalized values; days whose factor is 0 (never any sales) say nothing about the level
+    const deseasonalized = points => points
+        .filter(point => factor(point.date) > 0)
+        .map(point => point.value / factor(point.date));
+    const level = mean(deseasonalized(series.slice(-FORECAST_LEVEL_DAYS)));
+    const sigma = Math.sqrt(mean(deseasonalized(series.slice(-FORECAST_RESIDUAL_DAYS))
+        .map(value => (value - level) ** 2)));
+
+    return { level, sigma, factor };
+}
+
+// Expected royalties per day after `after`, with bands and the horizon's total
+function projectSeries(model, after, days) {
+    const points = [];
+    let variance = 0;
+
+    for (let day = 1; day <= days; day++) {
+        const date = shiftDate(after, day);
+        const factor = model.factor(date);
+        const value = model.level * factor;
+        const spread = FORECAST_Z * model.sigma * factor;
+        variance += (model.sigma * factor) ** 2;
+        points.push({ date, value, lower: Math.max(0, value - spread), upper: value + spread });
+    }
+
+    const value = points.reduce((sum, point) => sum + point.value, 0);
+    const spread = FORECAST_Z * Math.sqrt(variance);
+    return { points, total: { value, lower: Math.max(0, value - spread), upper: value + spread } };
+}
+
+// Month-to-date royalties of asOf's month plus the projection of its remaining days
+function projectMonthEnd(series, model, asOf) {
+    const month = asOf.substring(0, 7);
+    const monthToDate = series
+        .filter(point => point.date.startsWith(month))
+        .reduce((sum, point) => sum + point.value, 0);
+    const remainingDays = Number(lastDayOfMonth(asOf).substring(8)) - Number(asOf.substring(8));
+    const { total } = projectSeries(model, asOf, remainingDays);
+
+    return {
+        month,
+        monthToDate,
+        remainingDays,
+        projected: monthToDate + total.value,
+        lower: monthToDate + total.lower,
+        upper: monthToDate + total.upper
+    };
+}
+
+// Forecast of a user's royalties in total, per book (or work) and per marketplace,
+// from the history matching the marketplace, format and author filters
+function buildForecast(userId, horizon, rollup = 'edition', filters = {}) {
+    const today = new Date().toISOString().substring(0, 10);
+    const rows = queryLedger(userId, filters);
+    const lastDates = rows.map(row => (row.granularity === 'month' ? lastDayOfMonth(row.date) : row.date));
+    const asOf = lastDates.reduce((latest, date) => (date > latest ? date : latest), '');
+    const result = {
+        asOf: asOf ? (asOf < today ? asOf : today) : null,
+        currency: userBaseCurrency(userId),
+        missingExchangeRates: missingFxCurrencies(rows),
+        horizon,
+        confidence: FORECAST_CONFIDENCE,
+        rollup
+    };
+    if (!result.asOf) {
+        return { ...result, monthEnd: null, forecast: null, [rollup === 'work' ? 'works' : 'books']: [], marketplaces: [] };
+    }
+
+    const startDate = shiftDate(result.asOf, 1 - FORECAST_HISTORY_DAYS);
+    const forecastRows = groupRows => {
+        const series = dailyRoyaltySeries(groupRows, startDate, result.asOf);
+        const model = fitSeasonalModel(series);
+        return {
+            historyDays: series.length,
+            monthEnd: projectMonthEnd(series, model, result.asOf),
+            ...projectSeries(model, result.asOf, horizon)
+        };
+    };
+    const forecastBy = (dimension, keyOf = row => row[dimension]) => {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = String(keyOf(row) || '');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+        return Array.from(groups.entries())
+            .map(([key, groupRows]) => ({ [dimension]: key || null, ...forecastRows(groupRows) }))
+            .sort((a, b) => b.total.value - a.total.value);
+    };
+    const titles = new Map(Array.from(appData.books.values())
+        .filter(book => book.userId === userId)
+        .map(book => [String(book.asin || book.id).toUpperCase(), book.title]));
+    const works = workIndex(userId);
+
+    // Editions of a work are forecast together; other books stand alone under their ASIN
+    const byWork = () => forecastBy('work', row => works.get(String(row.asin).toUpperCase())?.workId || String(row.asin).toUpperCase())
+        .map(({ work: key, ...workForecast }) => {
+            const work = appData.works.get(key);
+            return {
+                workId: work ? key : null,
+                title: work ? work.title : titles.get(key) || null,
+                asins: work ? work.asins : [key],
+                ...workForecast
+            };
+        });
+
+    const { monthEnd, ...forecast } = forecastRows(rows);
+    return {
+        ...result,
+        monthEnd,
+        forecast,
+        ...(rollup === 'work'
+            ? { works: byWork() }
+            : { books: forecastBy('asin').map(book => ({ ...book, title: titles.get(String(book.asin).toUpperCase()) || null })) }),
+        marketplaces: forecastBy('marketplace')
+    };
+}
+
+// Month-end projection and 30/90-day royalty forecast
+app.get('/api/analytics/forecast', requireSession, (req, res) => {
+    try {
+        if (!predictiveAnalyticsEnabled()) {
+            return res.status(404).json({
+                success: false,
+                error: 'Predictive analytics are disabled (ENABLE_PREDICTIVE_ANALYTICS)'
+            });
+        }
+        
+        const horizon = Number(req.query.horizon || FORECAST_HORIZONS[0]);
+        if (!FORECAST_HORIZONS.includes(horizon)) {
+            return res.status(400).json({
+                success: false,
+                error: `horizon must be one of: ${FORECAST_HORIZONS.join(', ')}`
+            });
+        }
+        
+        const { rollup, error } = parseRollup(req.query);
+        const filters = resolveFilters(req.query);
+        if (error || filters.error) {
+            return res.status(400).json({
+                success: false,
+                error: error || filters.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: buildForecast(req.user.userId, horizon, rollup, filters)
+        });
+        
+    } catch (error) {
+        console.error('Forecast error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate forecast'
+        });
+    }
+});
+
+// ALERTS
+// Evaluated after every ingestion (extension push, report import, sync) on
+// the newest data: built-in detectors compare the latest days of each book
+// or campaign with its trailing baseline, user rules compare a metric summed
+// over their window with a threshold. An alert is not raised again for the
+// same detector or rule and subject within ALERT_COOLDOWN_DAYS of data.
+
+const ALERT_STATUSES = ['unread', 'read', 'dismissed'];
+const ALERT_RULE_METRICS = [...Object.keys(TIMESERIES_METRICS), 'acos'];
+const ALERT_RULE_COMPARISONS = ['above', 'below'];
+const ALERT_RULE_MAX_WINDOW_DAYS = 90;
+const ALERT_COOLDOWN_DAYS = 7;
+const ALERT_RECENT_DAYS = 3;
+const ALERT_BASELINE_DAYS = 28;
+const ALERT_DROP_SHARE = 0.5; // recent daily average below half the baseline
+const ALERT_MIN_DAILY_UNITS = 1;
+const ALERT_MIN_DAILY_PAGES = 100;
+const ALERT_ZERO_STREAK_DAYS = 5;
+const ALERT_SPIKE_BASELINE_DAYS = 14;
+const ALERT_SPIKE_FACTOR = 2;
+const ALERT_ACOS_DAYS = 7;
+const ALERT_MIN_SPEND = 5; // in the base currency, below this spikes and ACOS are noise
+
+const ALERT_DETECTORS = {
+    sales_drop: 'Sales dropped against the trailing baseline',
+    reads_drop: 'KENP reads dropped against the trailing baseline',
+    zero_sales_streak: 'A usually selling book has had no sales for days',
+    spend_spike: 'Daily ad spend of a campaign spiked',
+    acos_above_break_even: 'ACOS of a book is above its break-even ACOS'
+};
+
+// Latest date of the rows, never later than today
+function latestDataDate(dates) {
+    const today = new Date().toISOString().substring(0, 10);
+    const latest = dates.reduce((max, date) => (date > max ? date : max), '');
+    return latest ? (latest < today ? latest : today) : null;
+}
+
+// Sum of value(row) per day from startDate to endDate, per key(row)
+function dailyValuesBy(rows, key, value, startDate, endDate) {
+    const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+    const series = new Map();
+    rows.forEach(row => {
+        const index = Math.round((Date.parse(row.date) - Date.parse(startDate)) / 86400000);
+        if (index < 0 || index >= days) return;
+        const group = key(row);
+        if (!series.has(group)) series.set(group, new Array(days).fill(0));
+        series.get(group)[index] += value(row);
+    });
+    return series;
+}
+
+function bookTitles(userId) {
+    return new Map(Array.from(appData.books.values())
+        .filter(book => book.userId === userId)
+        .map(book => [String(book.asin || book.id).toUpperCase(), book.title]));
+}
+
+// Sales and reads drops, and zero-sales streaks, per ASIN on daily ledger rows
+function detectLedgerAlerts(userId, titles) {
+    const rows = queryLedger(userId, {}).filter(row => row.granularity !== 'month');
+    const asOf = latestDataDate(rows.map(row => row.date));
+    if (!asOf) return [];
+
+    const startDate = shiftDate(asOf, 1 - ALERT_BASELINE_DAYS - Math.max(ALERT_RECENT_DAYS, ALERT_ZERO_STREAK_DAYS));
+    const asinOf = row => String(row.asin).toUpperCase();
+    const name = asin => titles.get(asin) || asin;
+    const candidates = [];
+
+    const drops = [
+        { type: 'sales_drop', metric: 'units', label: 'sales', minimum: ALERT_MIN_DAILY_UNITS },
+        { type: 'reads_drop', metric: 'kenpPages', label: 'KENP reads', minimum: ALERT_MIN_DAILY_PAGES }
+    ];
+    drops.forEach(({ type, metric, label, minimum }) => {
+        dailyValuesBy(rows, asinOf, row => row[metric], startDate, asOf).forEach((values, asin) => {
+            const recent = mean(values.slice(-ALERT_RECENT_DAYS));
+            const baseline = mean(values.slice(-ALERT_RECENT_DAYS - ALERT_BASELINE_DAYS, -ALERT_RECENT_DAYS));
+            if (baseline < minimum || recent >= baseline * ALERT_DROP_SHARE) return;
+
+            candidates.push({
+                type,
+                subject: asin,
+                asin,
+                date: asOf,
+                severity: recent === 0 ? 'critical' : 'warning',
+                metric,
+                value: recent,
+                baseline,
+                title: `${label.charAt(0).toUpperCase()}${label.slice(1)} dropped for ${name(asin)}`,
+                message: `${recent.toFixed(1)} ${label} a day over the last ${ALERT_RECENT_DAYS} days, against ${baseline.toFixed(1)} a day over the ${ALERT_BASELINE_DAYS} days before`
+            });
+        });
+    });
+
+    dailyValuesBy(rows, asinOf, row => row.units, startDate, asOf).forEach((values, asin) => {
+        let streak = 0;
+        while (streak < values.length && values[values.length - 1 - streak] === 0) streak++;
+        const baseline = mean(values.slice(0, values.length - streak).slice(-ALERT_BASELINE_DAYS));
+        if (streak < ALERT_ZERO_STREAK_DAYS || baseline < ALERT_MIN_DAILY_UNITS) return;
+
+        const streakStart = shiftDate(asOf, 1 - streak);
+        candidates.push({
+            type: 'zero_sales_streak',
+            subject: `${asin}|${streakStart}`,
+            asin,
+            date: asOf,
+            severity: 'critical',
+            metric: 'units',
+            value: 0,
+            baseline,
+            title: `No sales for ${name(asin)} since ${streakStart}`,
+            message: `${streak} days without a sale; it usually sells ${baseline.toFixed(1)} a day`
+        });
+    });
+
+    return candidates;
+}
+
+// Spend spikes per campaign and ACOS above break-even per ASIN on ad rows
+function detectAdAlerts(userId, titles) {
+    const asOf = latestDataDate(adPerformanceRows(userId).map(row => row.date));
+    if (!asOf) return [];
+
+    const currency = userBaseCurrency(userId);
+    const candidates = [];
+    const startDate = shiftDate(asOf, -ALERT_SPIKE_BASELINE_DAYS);
+    const rows = queryAdPerformance(userId, { startDate, endDate: asOf });
+    const campaigns = new Map(rows.map(row => [String(row.campaignKey), row]));
+    const firstDates = new Map();
+    rows.forEach(row => {
+        const key = String(row.campaignKey);
+        if (!firstDates.has(key) || row.date < firstDates.get(key)) firstDates.set(key, row.date);
+    });
+
+    dailyValuesBy(rows, row => String(row.campaignKey), row => row.spend, startDate, asOf).forEach((values, key) => {
+        const spend = values[values.length - 1];
+        const baseline = mean(values.slice(0, -1));
+        // Campaigns without earlier rows are new, not spiking
+        if (firstDates.get(key) === asOf || spend < ALERT_MIN_SPEND || spend <= baseline * ALERT_SPIKE_FACTOR) return;
+
+        const campaign = campaigns.get(key);
+        // Rows keep their own currency when no exchange rate converted them
+        const spendCurrency = campaign.currency || currency;
+        candidates.push({
+            type: 'spend_spike',
+            subject: key,
+            campaignId: campaign.campaignId ? String(campaign.campaignId) : null,
+            marketplace: campaign.marketplace || null,
+            date: asOf,
+            severity: spend > baseline * ALERT_SPIKE_FACTOR * 2 ? 'critical' : 'warning',
+            metric: 'spend',
+            value: spend,
+            baseline,
+            title: `Ad spend spiked on ${campaign.campaignName || key}`,
+            message: `${spend.toFixed(2)} ${spendCurrency} spent on ${asOf}, against ${baseline.toFixed(2)} ${spendCurrency} a day over the ${ALERT_SPIKE_BASELINE_DAYS} days before`
+        });
+    });
+
+    const period = { startDate: shiftDate(asOf, 1 - ALERT_ACOS_DAYS), endDate: asOf };
+    getAdvertisingMetrics(userId, period).books.forEach(book => {
+        if (book.acosStatus !== 'unprofitable' || book.spend < ALERT_MIN_SPEND) return;
+
+        const acos = book.acos === null ? `${book.spend.toFixed(2)} ${currency} spent without ad sales` : `ACOS ${(book.acos * 100).toFixed(1)}%`;
+        const breakEven = book.breakEvenAcos === null ? '' : ` against a break-even ACOS of ${(book.breakEvenAcos * 100).toFixed(1)}%`;
+        candidates.push({
+            type: 'acos_above_break_even',
+            subject: book.asin,
+            asin: book.asin,
+            date: asOf,
+            severity: 'warning',
+            metric: 'acos',
+            value: book.acos,
+            threshold: book.breakEvenAcos,
+            title: `Ads are losing money on ${titles.get(book.asin) || book.asin}`,
+            message: `${acos} over the last ${ALERT_ACOS_DAYS} days${breakEven}`
+        });
+    });
+
+    return candidates;
+}
+
+// Validate a rule from a request body, on top of an existing rule when updating
+function validateAlertRule(input, existing = {}) {
+    const rule = { ...existing };
+    ['name', 'metric', 'comparison', 'threshold', 'windowDays', 'asin', 'marketplace', 'enabled'].forEach(field => {
+        if (input[field] !== undefined) rule[field] = input[field];
+    });
+    rule.windowDays = rule.windowDays === undefined ? 1 : rule.windowDays;
+    rule.enabled = rule.enabled === undefined ? true : rule.enabled;
+
+    if (!ALERT_RULE_METRICS.includes(rule.metric)) {
+        return { error: `metric must be one of: ${ALERT_RULE_METRICS.join(', ')}` };
+    }
+    if (!ALERT_RULE_COMPARISONS.includes(rule.comparison)) {
+        return { error: `comparison must be one of: ${ALERT_RULE_COMPARISONS.join(', ')}` };
+    }
+    if (!(typeof rule.threshold === 'number' && rule.threshold >= 0)) {
+        return { error: 'threshold must be a number of at least 0 (ACOS as a fraction, e.g. 0.5)' };
+    }
+    if (!(Number.isInteger(rule.windowDays) && rule.windowDays >= 1 && rule.windowDays <= ALERT_RULE_MAX_WINDOW_DAYS)) {
+        return { error: `windowDays must be a whole number from 1 to ${ALERT_RULE_MAX_WINDOW_DAYS}` };
+    }
+    if (rule.marketplace && !MARKETPLACE_CURRENCIES[rule.marketplace]) {
+        return { error: `marketplace must be one of: ${Object.keys(MARKETPLACE_CURRENCIES).join(', ')}` };
+    }
+    if (typeof rule.enabled !== 'boolean') {
+        return { error: 'enabled must be true or false' };
+    }
+
+    return {
+        rule: {
+            ...rule,
+            name: String(rule.name || `${rule.metric} ${rule.comparison} ${rule.threshold}`).substring(0, 100),
+            asin: rule.asin ? String(rule.asin).toUpperCase() : null,
+            marketplace: rule.marketplace || null
+        }
+    };
+}
+
+// Enabled user rules whose metric over their window crosses the threshold
+function evaluateAlertRules(user, titles) {
+    const rules = (user.alertRules || []).filter(rule => rule.enabled);
+    if (rules.length === 0) return [];
+
+    const { userId } = user;
+    const ledgerRows = queryLedger(userId, {});
+    const adRows = attributeAdRows(userId, {});
+    const asOf = {
+        ledger: latestDataDate(ledgerRows.map(row => row.date)),
+        ads: latestDataDate(adRows.map(row => row.date))
+    };
+    const candidates = [];
+
+    rules.forEach(rule => {
+        const source = rule.metric === 'acos' ? 'ads' : TIMESERIES_METRICS[rule.metric].source;
+        const endDate = asOf[source];
+        if (!endDate) return;
+
+        const startDate = shiftDate(endDate, 1 - rule.windowDays);
+        const inScope = row => row.date >= startDate && row.date <= endDate
+            && (!rule.asin || String(row.asin).toUpperCase() === rule.asin)
+            && (!rule.marketplace || row.marketplace === rule.marketplace);
+        const rows = (source === 'ads' ? adRows : ledgerRows).filter(inScope);
+        const sum = value => rows.reduce((total, row) => total + value(row), 0);
+
+        const value = rule.metric === 'acos'
+            ? ratio(sum(row => row.spend), sum(row => row.sales))
+            : sum(TIMESERIES_METRICS[rule.metric].value);
+        if (value === null) return;
+        if (rule.comparison === 'above' ? value <= rule.threshold : value >= rule.threshold) return;
+
+        const scope = [rule.asin && (titles.get(rule.asin) || rule.asin), rule.marketplace].filter(Boolean).join(', ');
+        const format = number => (rule.metric === 'acos' ? `${(number * 100).toFixed(1)}%` : String(Math.round(number * 100) / 100));
+        candidates.push({
+            type: 'rule',
+            ruleId: rule.ruleId,
+            subject: rule.ruleId,
+            asin: rule.asin,
+            marketplace: rule.marketplace,
+            date: endDate,
+            severity: 'warning',
+            metric: rule.metric,
+            value,
+            threshold: rule.threshold,
+            title: rule.name,
+            message: `${rule.metric} ${format(value)} over the last ${rule.windowDays} day${rule.windowDays === 1 ? '' : 's'}` +
+                `${scope ? ` (${scope})` : ''} is ${rule.comparison} ${format(rule.threshold)}`
+        });
+    });
+
+    return candidates;
+}
+
+// Run detectors and rules for a user and store the alerts that are new.
+// Callers save the data afterwards.
+function evaluateAlerts(userId) {
+    const user = appData.users.get(userId);
+    if (!user) return [];
+
+    const titles = bookTitles(userId);
+    const candidates = [
+        ...detectLedgerAlerts(userId, titles),
+        ...detectAdAlerts(userId, titles),
+        ...evaluateAlertRules(user, titles)
+    ];
+
+    const lastRaised = new Map();
+    for (const alert of appData.alerts.values()) {
+        if (alert.userId !== userId) continue;
+        const key = `${alert.type}|${alert.subject}`;
+        if (!lastRaised.has(key) || alert.date > lastRaised.get(key)) lastRaised.set(key, alert.date);
+    }
+
+    const raised = candidates
+        .filter(candidate => {
+            const last = lastRaised.get(`${candidate.type}|${candidate.subject}`);
+            return !last || last <= shiftDate(candidate.date, -ALERT_COOLDOWN_DAYS);
+        })
+        .map(candidate => ({
+            alertId: crypto.randomBytes(8).toString('hex'),
+            userId,
+            ...candidate,
+            status: 'unread',
+            createdAt: new Date().toISOString()
+        }));
+
+    raised.forEach(alert => appData.alerts.set(alert.alertId, alert));
+    if (raised.length > 0) {
+        logSyncActivity('ALERTS', `${raised.length} new alert${raised.length === 1 ? '' : 's'}`, userId);
+    }
+    return raised;
+}
+
+function userAlerts(userId) {
+    return Array.from(appData.alerts.values()).filter(alert => alert.userId === userId);
+}
+
+// Alerts inbox, newest first
+app.get('/api/alerts', requireSession, (req, res) => {
+    try {
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        if (status && !ALERT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${ALERT_STATUSES.join(', ')}`
+            });
+        }
+        
+        const alerts = userAlerts(req.user.userId);
+        res.json({
+            success: true,
+            data: {
+                unread: alerts.filter(alert => alert.status === 'unread').length,
+                detectors: ALERT_DETECTORS,
+                alerts: alerts
+                    .filter(alert => (status ? alert.status === status : alert.status !== 'dismissed'))
+                    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.date.localeCompare(a.date))
+                    .slice(0, limit)
+            }
+        });
+        
+    } catch (error) {
+        console.error('Alerts error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to retrieve data: ' + error.message
+            error: 'Failed to load alerts'
         });
     }
 });
 
-// Force manual sync
-app.post('/api/sync', async (req, res) => {
+// Mark every unread alert as read
+app.post('/api/alerts/read', requireSession, async (req, res) => {
     try {
-        const { userId, sessionToken } = req.body;
+        const now = new Date().toISOString();
+        const unread = userAlerts(req.user.userId).filter(alert => alert.status === 'unread');
+        unread.forEach(alert => appData.alerts.set(alert.alertId, { ...alert, status: 'read', readAt: now }));
+        await saveDataToDisk();
         
-        if (!userId || !sessionToken) {
-            return res.status(401).json({
+        res.json({
+            success: true,
+            data: { updated: unread.length }
+        });
+        
+    } catch (error) {
+        console.error('Alerts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update alerts: ' + error.message
+        });
+    }
+});
+
+// Mark one alert read, unread or dismissed
+app.patch('/api/alerts/:alertId', requireSession, async (req, res) => {
+    try {
+        const alert = appData.alerts.get(req.params.alertId);
+        if (!alert || alert.userId !== req.user.userId) {
+            return res.status(404).json({
                 success: false,
-                error: 'Authentication required'
+                error: 'Alert not found'
             });
         }
         
-        const user = appData.users.get(userId);
-        if (!user || user.sessionToken !== sessionToken) {
-            return res.status(401).json({
+        const { status } = req.body || {};
+        if (!ALERT_STATUSES.includes(status)) {
+            return res.status(400).json({
                 success: false,
-                error: 'Invalid session'
+                error: `status must be one of: ${ALERT_STATUSES.join(', ')}`
             });
         }
         
-        const result = await performFullSync(userId);
+        const updated = { ...alert, status, [`${status}At`]: new Date().toISOString() };
+        appData.alerts.set(alert.alertId, updated);
+        await saveDataToDisk();
         
-        // Update user last sync
-        user.lastSync = new Date().toISOString();
-        appData.users.set(userId, user);
+        res.json({
+            success: true,
+            data: updated
+        });
+        
+    } catch (error) {
+        console.error('Alerts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update alert: ' + error.message
+        });
+    }
+});
+
+// User-defined alert rules
+app.get('/api/alerts/rules', requireSession, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            metrics: ALERT_RULE_METRICS,
+            comparisons: ALERT_RULE_COMPARISONS,
+            maxWindowDays: ALERT_RULE_MAX_WINDOW_DAYS,
+            rules: req.user.alertRules || []
+        }
+    });
+});
+
+app.post('/api/alerts/rules', requireSession, async (req, res) => {
+    try {
+        const { rule, error } = validateAlertRule(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
         
+        const { user } = req;
+        const created = { ruleId: crypto.randomBytes(8).toString('hex'), ...rule, createdAt: new Date().toISOString() };
+        appData.users.set(user.userId, { ...user, alertRules: [...(user.alertRules || []), created] });
+        evaluateAlerts(user.userId);
         await saveDataToDisk();
         
-        logSyncActivity('MANUAL_SYNC', 'Manual sync completed', userId);
-        
         res.json({
             success: true,
-            data: result,
-            message: `Sync completed. Found ${result.books?.length || 0} books, ${result.ads?.length || 0} ad campaigns.`
+            data: created
         });
         
     } catch (error) {
-        console.error('Manual sync error:', error);
-        logSyncActivity('ERROR', 'Manual sync failed', req.body.userId, error);
+        console.error('Alert rule error:', error);
         res.status(500).json({
             success: false,
-            error: 'Sync failed: ' + error.message
+            error: 'Failed to add alert rule: ' + error.message
         });
     }
 });
 
-// EXTENSION DATA ENDPOINT
-app.post('/api/extension/data', async (req, res) => {
+app.patch('/api/alerts/rules/:ruleId', requireSession, async (req, res) => {
     try {
-        const { data, userId } = req.body;
-        
-        if (!data) {
-            return res.status(400).json({
+        const { user } = req;
+        const rules = user.alertRules || [];
+        const existing = rules.find(rule => rule.ruleId === req.params.ruleId);
+        if (!existing) {
+            return res.status(404).json({
                 success: false,
-                error: 'No data provided'
+                error: 'Alert rule not found'
             });
         }
         
-        // Process extension data
-        if (data.books && Array.isArray(data.books)) {
-            data.books.forEach(book => {
-                const bookId = book.asin || book.id || crypto.randomUUID();
-                appData.books.set(bookId, {
-                    ...book,
-                    userId: userId || 'extension',
-                    lastUpdated: new Date().toISOString(),
-                    source: 'extension'
-                });
+        const { rule, error } = validateAlertRule(req.body || {}, existing);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
             });
         }
         
+        const updated = { ...rule, updatedAt: new Date().toISOString() };
+        appData.users.set(user.userId, {
+            ...user,
+            alertRules: rules.map(candidate => (candidate.ruleId === updated.ruleId ? updated : candidate))
+        });
+        evaluateAlerts(user.userId);
         await saveDataToDisk();
         
-        logSyncActivity('EXTENSION_SYNC', `Extension data received: ${data.books?.length || 0} books`, userId);
-        
         res.json({
             success: true,
-            message: 'Data received and processed',
-            processed: {
-                books: data.books?.length || 0,
-                timestamp: new Date().toISOString()
-            }
+            data: updated
         });
         
     } catch (error) {
-        console.error('Extension data error:', error);
+        console.error('Alert rule error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to process extension data: ' + error.message
+            error: 'Failed to update alert rule: ' + error.message
         });
     }
 });
 
-// AMAZON ADS INTEGRATION
-
-// Authenticate with Amazon Ads API
-async function authenticateAmazonAds(credentials) {
+app.delete('/api/alerts/rules/:ruleId', requireSession, async (req, res) => {
     try {
-        const { clientId, clientSecret, refreshToken } = credentials;
-        
-        if (!clientId || !clientSecret || !refreshToken) {
-            throw new Error('Missing Amazon Ads credentials');
+        const { user } = req;
+        const rules = user.alertRules || [];
+        if (!rules.some(rule => rule.ruleId === req.params.ruleId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Alert rule not found'
+            });
         }
         
-        // Get access token
-        const tokenResponse = await axios.post(AMAZON_ADS_CONFIG.tokenURL, {
-            grant_type: 'refresh_token',
-            refresh_token: refreshToken,
-            client_id: clientId,
-            client_secret: clientSecret
-        }, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
-        
-        if (!tokenResponse.data.access_token) {
-            throw new Error('Failed to obtain access token');
-        }
+        appData.users.set(user.userId, { ...user, alertRules: rules.filter(rule => rule.ruleId !== req.params.ruleId) });
+        await saveDataToDisk();
         
-        return {
+        res.json({
             success: true,
-            credentials: {
-                ...credentials,
-                accessToken: tokenResponse.data.access_token,
-                tokenExpiry: Date.now() + (tokenResponse.data.expires_in * 1000),
-                authenticatedAt: new Date().toISOString()
-            }
-        };
+            message: 'Alert rule removed'
+        });
         
     } catch (error) {
-        console.error('Amazon Ads authentication error:', error);
-        return {
+        console.error('Alert rule error:', error);
+        res.status(500).json({
             success: false,
-            error: error.message
-        };
+            error: 'Failed to remove alert rule: ' + error.message
+        });
     }
+});
+
+// LAUNCH COHORTS
+// Books aligned by days since publication, day 0 being the publication date
+// (YYYY-MM-DD or DD/MM/YYYY; books without one start at their first ledger
+// date). Metrics are cumulative from day 0 and the typical title is the
+// median of the books old enough to have completed each day. Books launched
+// before the user's earliest ledger date are left out: their start is unknown.
+// With rollup 'work' the editions of a work form one curve from the earliest
+// edition's launch.
+
+const COHORT_WINDOWS = [7, 30, 90, 365];
+const COHORT_MIN_BOOKS = 3; // fewer books than this make no typical title
+const COHORT_METRICS = {
+    royalties: row => row.royalties + row.kenpRoyalties,
+    units: row => row.units,
+    kenpPages: row => row.kenpPages
+};
+
+function parsePublicationDate(value) {
+    const text = String(value || '').trim();
+    const european = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const date = european
+        ? `${european[3]}-${european[2].padStart(2, '0')}-${european[1].padStart(2, '0')}`
+        : text.substring(0, 10);
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && toLedgerDate(date) === date ? date : null;
 }
 
-// Fetch Amazon Ads data
-async function fetchAmazonAdsData(credentials) {
-    try {
-        const { accessToken, clientId } = credentials;
-        
-        // Get profiles
-        const profilesResponse = await axios.get(
-            AMAZON_ADS_CONFIG.baseURL + AMAZON_ADS_CONFIG.endpoints.profiles,
-            {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Amazon-Advertising-API-ClientId': clientId,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-        
-        const profiles = profilesResponse.data;
-        const adsData = [];
-        
-        // Fetch campaigns for each profile
-        for (const profile of profiles) {
-            try {
-                const campaignsResponse = await axios.get(
-                    AMAZON_ADS_CONFIG.baseURL + AMAZON_ADS_CONFIG.endpoints.campaigns,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${accessToken}`,
-                            'Amazon-Advertising-API-ClientId': clientId,
-                            'Amazon-Advertising-API-Scope': profile.profileId,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-                
-                const campaigns = campaignsResponse.data;
-                adsData.push(...campaigns.map(campaign => ({
-                    ...campaign,
-                    profileId: profile.profileId,
-                    marketplace: profile.countryCode
-                })));
-                
-            } catch (profileError) {
-                console.log(`Error fetching campaigns for profile ${profile.profileId}:`, profileError.message);
-            }
-        }
-        
-        return adsData;
-        
-    } catch (error) {
-        console.error('Error fetching Amazon Ads data:', error);
-        return [];
-    }
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
 }
 
-// ENHANCED KDP INTEGRATION
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
 
-// Authenticate with Amazon KDP (Enhanced)
-async function authenticateKDP(email, password, mfaCode = null) {
-    try {
-        console.log('🔐 Authenticating with Amazon KDP...');
-        
-        // Simulate authentication process (in real implementation, use actual KDP API)
-        // This is a placeholder for the actual authentication logic
-        const mockCredentials = {
-            sessionId: crypto.randomBytes(16).toString('hex'),
-            sessionToken: crypto.randomBytes(32).toString('hex'),
-            cookies: `session-id=${crypto.randomBytes(16).toString('hex')}; session-token=${crypto.randomBytes(32).toString('hex')}`,
-            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-        };
-        
-        return {
-            success: true,
-            credentials: mockCredentials
-        };
-        
-    } catch (error) {
-        console.error('KDP authentication error:', error);
+// Cumulative metrics per day since launch, `days` long, for every book (or
+// work) with a launch date that passes the marketplace, format and author filters
+function cohortCurves(userId, rollup, filters = {}) {
+    const maxDays = COHORT_WINDOWS[COHORT_WINDOWS.length - 1];
+    const today = new Date().toISOString().substring(0, 10);
+    const emptyPoint = () => Object.fromEntries(Object.keys(COHORT_METRICS).map(metric => [metric, 0]));
+    const rows = queryLedger(userId, filters);
+    const firstDataDate = rows.length ? rows[0].date : null;
+    const rowsByAsin = new Map();
+    rows.forEach(row => {
+        const asin = String(row.asin).toUpperCase();
+        if (!rowsByAsin.has(asin)) rowsByAsin.set(asin, []);
+        rowsByAsin.get(asin).push(row);
+    });
+
+    // Launch of a book: its publication date, else its first ledger date
+    const launchOf = book => {
+        const published = parsePublicationDate(book.publicationDate);
+        if (published) return { date: published, source: 'publication_date' };
+        const first = (rowsByAsin.get(bookAsin(book)) || []).reduce((date, row) => (!date || row.date < date ? row.date : date), null);
+        return first ? { date: first, source: 'first_sale' } : null;
+    };
+    const books = Array.from(appData.books.values())
+        .filter(book => book.userId === userId && matchesBookFilters(book, filters));
+    const subjects = rollup === 'work'
+        ? rollUpEditions(userId, books.map(book => ({ asin: bookAsin(book), title: book.title || null, book })), () => ({}))
+            .map(work => ({
+                identity: { workId: work.workId, asins: work.asins, title: work.title },
+                books: work.editions.map(edition => edition.book)
+            }))
+        : books.map(book => ({
+            identity: { asin: bookAsin(book), title: book.title || null, format: book.format || null },
+            books: [book]
+        }));
+
+    return subjects
+        .map(({ identity, books: subjectBooks }) => {
+            const bookRows = subjectBooks.flatMap(book => rowsByAsin.get(bookAsin(book)) || []);
+            const earliest = subjectBooks.map(launchOf).filter(Boolean).sort((a, b) => a.date.localeCompare(b.date))[0];
+            const launch = earliest?.date;
+            if (!launch || launch > today || launch < firstDataDate) return null;
+
+            const age = Math.min(daysBetween(launch, today) + 1, maxDays);
+            const daily = Array.from({ length: age }, emptyPoint);
+            forEachLedgerDay(bookRows, (date, row, share) => {
+                const day = daysBetween(launch, date);
+                if (day < 0 || day >= age) return;
+                Object.entries(COHORT_METRICS).forEach(([metric, value]) => {
+                    daily[day][metric] += value(row) * share;
+                });
+            });
+
+            const cumulative = emptyPoint();
+            return {
+                ...identity,
+                launchDate: launch,
+                launchDateSource: earliest.source,
+                age: daysBetween(launch, today) + 1,
+                curve: daily.map((point, day) => {
+                    Object.keys(COHORT_METRICS).forEach(metric => {
+                        cumulative[metric] += point[metric];
+                    });
+                    return { day, ...cumulative };
+                })
+            };
+        })
+        .filter(Boolean);
+}
+
+function buildCohorts(userId, days, rollup = 'edition', filters = {}) {
+    const books = cohortCurves(userId, rollup, filters);
+    const maxDays = COHORT_WINDOWS[COHORT_WINDOWS.length - 1];
+
+    // Median of the books that completed the day, null with too few of them
+    const typicalAt = day => {
+        const completed = books.filter(book => book.curve.length > day);
+        if (completed.length < COHORT_MIN_BOOKS) return null;
         return {
-            success: false,
-            error: error.message
+            day,
+            books: completed.length,
+            ...Object.fromEntries(Object.keys(COHORT_METRICS)
+                .map(metric => [metric, median(completed.map(book => book.curve[day][metric]))]))
         };
-    }
+    };
+    const typicalCurve = Array.from({ length: maxDays }, (_, day) => typicalAt(day));
+    const windowsOf = curve => Object.fromEntries(COHORT_WINDOWS.map(window => [window, curve[window - 1] || null]));
+
+    return {
+        asOf: new Date().toISOString().substring(0, 10),
+        currency: userBaseCurrency(userId),
+        windows: COHORT_WINDOWS,
+        days,
+        rollup,
+        typical: {
+            windows: windowsOf(typicalCurve),
+            curve: typicalCurve.slice(0, days)
+        },
+        [rollup === 'work' ? 'works' : 'books']: books
+            .map(book => {
+                // Compare the latest completed day with the typical title at the same age
+                const latest = book.curve[book.curve.length - 1];
+                const typical = latest ? typicalCurve[latest.day] : null;
+                return {
+                    ...book,
+                    windows: windowsOf(book.curve),
+                    tracking: typical ? {
+                        day: latest.day,
+                        royalties: ratio(latest.royalties, typical.royalties),
+                        units: ratio(latest.units, typical.units),
+                        kenpPages: ratio(latest.kenpPages, typical.kenpPages),
+                        status: latest.royalties >= typical.royalties ? 'above' : 'below'
+                    } : null,
+                    curve: book.curve.slice(0, days)
+                };
+            })
+            .sort((a, b) => b.launchDate.localeCompare(a.launchDate))
+    };
 }
 
-// Perform full sync (KDP + Amazon Ads)
-async function performFullSync(userId) {
+// Books aligned by days since publication against the typical title
+app.get('/api/analytics/cohorts', requireSession, (req, res) => {
     try {
-        const user = appData.users.get(userId);
-        if (!user) {
-            throw new Error('User not found');
-        }
-        
-        const results = {
-            books: [],
-            ads: [],
-            totalRevenue: 0,
-            totalSpending: 0
-        };
-        
-        // Sync KDP data
-        if (user.kdpCredentials) {
-            console.log(`📚 Syncing KDP data for user ${userId}...`);
-            
-            // In a real implementation, this would fetch from actual KDP API
-            // For now, we'll use mock data based on the examples from the images
-            const mockBooks = [
-                {
-                    id: 'B0BWFC3554',
-                    title: 'Empath and Psychic Abilities: A Survival Guide for Highly Sensitive People to Tap into Your Hidden Inner Power and Enhance It with Practical Exercises',
-                    asin: 'B0BWFC3554',
-                    author: 'Chandra Chakshi',
-                    publicationDate: '21/02/2023',
-                    format: 'Ebook',
-                    paperbackSales: 0,
-                    paperbackRoyalties: 0.00,
-                    ebookSales: 1,
-                    ebookRoyalties: 0.98,
-                    hardcoverSales: 0,
-                    hardcoverRoyalties: 0.00,
-                    kenpReads: 238,
-                    kenpRoyalties: 0.98,
-                    totalSales: 1,
-                    totalRoyalties: 0.98,
-                    country: 'US',
-                    userId: userId,
-                    lastUpdated: new Date().toISOString()
-                }
-            ];
-            
-            // Store books
-            mockBooks.forEach(book => {
-                appData.books.set(book.id, book);
-                results.books.push(book);
-                results.totalRevenue += book.totalRoyalties || 0;
+        const days = Number(req.query.days || 90);
+        if (!COHORT_WINDOWS.includes(days)) {
+            return res.status(400).json({
+                success: false,
+                error: `days must be one of: ${COHORT_WINDOWS.join(', ')}`
             });
         }
-        
-        // Sync Amazon Ads data
-        if (user.adsCredentials) {
-            console.log(`📊 Syncing Amazon Ads data for user ${userId}...`);
-            
-            try {
-                const adsData = await fetchAmazonAdsData(user.adsCredentials);
-                
-                adsData.forEach(ad => {
-                    const adId = ad.campaignId || crypto.randomUUID();
-                    const processedAd = {
-                        ...ad,
-                        userId: userId,
-                        lastUpdated: new Date().toISOString()
-                    };
-                    
-                    appData.ads.set(adId, processedAd);
-                    results.ads.push(processedAd);
-                    results.totalSpending += ad.spend || 0;
-                });
-                
-            } catch (adsError) {
-                console.log('Amazon Ads sync failed (non-critical):', adsError.message);
-            }
-        }
-        
-        return results;
-        
-    } catch (error) {
-        console.error('Full sync error:', error);
-        throw error;
-    }
-}
-
-// AUTO-SYNC SCHEDULER
-cron.schedule('*/10 * * * *', async () => {
-    if (!appData.settings.autoSync) return;
-    
-    console.log('🔄 Running scheduled auto-sync...');
-    
-    for (const [userId, user] of appData.users) {
-        if (user.settings?.autoSync !== false) {
-            try {
-                await performFullSync(userId);
-                user.lastSync = new Date().toISOString();
-                logSyncActivity('AUTO_SYNC', 'Scheduled sync completed', userId);
-            } catch (error) {
-                logSyncActivity('ERROR', 'Scheduled sync failed', userId, error);
-            }
+        const { rollup, error } = parseRollup(req.query);
+        const filters = resolveFilters(req.query);
+        if (error || filters.error) {
+            return res.status(400).json({
+                success: false,
+                error: error || filters.error
+            });
         }
-    }
-    
-    await saveDataToDisk();
-});
-
-// ANALYTICS ENDPOINTS
-
-// Get analytics summary
-app.get('/api/analytics/summary', async (req, res) => {
-    try {
-        const { userId } = req.query;
-        
-        const userBooks = Array.from(appData.books.values()).filter(book => book.userId === userId);
-        const userAds = Array.from(appData.ads.values()).filter(ad => ad.userId === userId);
-        
-        const summary = {
-            totalBooks: userBooks.length,
-            totalRevenue: userBooks.reduce((sum, book) => sum + (book.totalRoyalties || 0), 0),
-            totalSpending: userAds.reduce((sum, ad) => sum + (ad.spend || 0), 0),
-            totalSales: userBooks.reduce((sum, book) => sum + (book.totalSales || 0), 0),
-            totalReads: userBooks.reduce((sum, book) => sum + (book.kenpReads || 0), 0),
-            topBooks: userBooks
-                .sort((a, b) => (b.totalRoyalties || 0) - (a.totalRoyalties || 0))
-                .slice(0, 5),
-            monthlyTrends: generateMonthlyTrends(userBooks),
-            countryBreakdown: generateCountryBreakdown(userBooks)
-        };
         
         res.json({
             success: true,
-            data: summary
+            data: buildCohorts(req.user.userId, days, rollup, filters)
         });
         
     } catch (error) {
-        console.error('Analytics summary error:', error);
+        console.error('Cohort analytics error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to generate analytics summary'
+            error: 'Failed to generate cohort analytics'
         });
     }
 });
 
-// Helper function to generate monthly trends
-function generateMonthlyTrends(books) {
-    const trends = {};
-    
-    books.forEach(book => {
-        if (book.lastUpdated) {
-            const month = new Date(book.lastUpdated).toISOString().substring(0, 7);
-            if (!trends[month]) {
-                trends[month] = { revenue: 0, sales: 0, reads: 0 };
-            }
-            trends[month].revenue += book.totalRoyalties || 0;
-            trends[month].sales += book.totalSales || 0;
-            trends[month].reads += book.kenpReads || 0;
-        }
-    });
-    
-    return Object.entries(trends)
-        .sort(([a], [b]) => a.localeCompare(b))
-        .slice(-12); // Last 12 months
-}
-
-// Helper function to generate country breakdown
-function generateCountryBreakdown(books) {
-    const countries = {};
-    
-    books.forEach(book => {
-        const country = book.country || 'Unknown';
-        if (!countries[country]) {
-            countries[country] = { revenue: 0, sales: 0 };
-        }
-        countries[country].revenue += book.totalRoyalties || 0;
-        countries[country].sales += book.totalSales || 0;
-    });
-    
-    return Object.entries(countries)
-        .map(([country, data]) => ({ country, ...data }))
-        .sort((a, b) => b.revenue - a.revenue);
-}
-
 // SYSTEM ENDPOINTS
 
 // Health check
@@ -701,17 +7153,24 @@ app.get('/api/health', (req, res) => {
             users: appData.users.size,
             books: appData.books.size,
             ads: appData.ads.size,
+            ledgerRows: appData.ledger.size,
+            fxRates: appData.fxRates.size,
+            kenpRates: appData.kenpRates.size,
+            alerts: appData.alerts.size,
+            works: appData.works.size,
             syncLogEntries: appData.syncLog.length
         }
     });
 });
 
 // Get sync logs
-app.get('/api/logs', (req, res) => {
+app.get('/api/logs', requireSession, (req, res) => {
     const { limit = 50 } = req.query;
     res.json({
         success: true,
-        logs: appData.syncLog.slice(0, parseInt(limit))
+        logs: appData.syncLog
+            .filter(entry => entry.userId === req.user.userId)
+            .slice(0, parseInt(limit))
     });
 });
 
@@ -721,13 +7180,19 @@ app.get('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, async () => {
-    await initializeApp();
-    console.log(`🚀 KDP Analytics Pro Server running on port ${PORT}`);
-    console.log('📊 Dashboard: http://localhost:' + PORT);
-    console.log('🔄 Auto-sync: Every 10 minutes');
-    console.log('💾 Data persistence: File-based storage');
-});
+initializeApp()
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`🚀 KDP Analytics Pro Server running on port ${PORT}`);
+            console.log('📊 Dashboard: http://localhost:' + PORT);
+            console.log('🔄 Auto-sync: Every 10 minutes');
+            console.log(`💾 Data persistence: ${storage.name}`);
+        });
+    })
+    .catch(error => {
+        console.error('❌ Refusing to start:', error.message);
+        process.exit(1);
+    });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {